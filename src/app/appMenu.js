@@ -4,7 +4,61 @@ const BrowserWindow = electron.BrowserWindow;
 const Menu = electron.Menu;
 const app = electron.app;
 
-module.exports = function (app) {
+/**
+ * Build the account menu from the bot profiles
+ * @param  {Object} account profiles, the active profile id and account actions
+ * @return {Array}          menu items
+ */
+function accountMenu(account) {
+  let profiles = account.profiles.map(function (profile) {
+    return {
+      label: profile.name,
+      type: "radio",
+      checked: profile._id === account.active,
+      click: function () {
+        if (profile._id !== account.active) {
+          account.switchProfile(profile._id);
+        }
+      }
+    };
+  });
+
+  return profiles.concat([
+    { type: "separator" },
+    { label: "Manage Profiles...", click: function () { account.manageProfiles(); }},
+    { label: "Log Out", enabled: !!account.active, click: function () { account.logout(); }},
+    { label: "Remove Profile...", enabled: !!account.active, click: function () { account.removeProfile(); }},
+    { type: "separator" },
+    {
+      label: "Do Not Disturb",
+      type: "checkbox",
+      checked: !!account.dnd,
+      enabled: !!account.active,
+      click: function (item) { account.setDoNotDisturb(item.checked); }
+    },
+    { type: "separator" },
+    { label: "Set Master Passphrase...", click: function () { account.setPassphrase(); }}
+  ]);
+}
+
+/**
+ * Build the plugins menu from the menu items plugins added
+ * @param  {Object} account plugin menu items and the plugin manager action
+ * @return {Array}          menu items
+ */
+function pluginsMenu(account) {
+  let items = [{ label: "Manage Plugins...", click: function () { account.managePlugins(); }}];
+
+  if (account.plugins.length) {
+    items.push({ type: "separator" });
+  }
+
+  return items.concat(account.plugins.map(function (item) {
+    return { label: item.label, click: function () { item.click(); }};
+  }));
+}
+
+module.exports = function (app, account) {
   return [{
     label: "Application",
     submenu: [
@@ -12,8 +66,37 @@ module.exports = function (app) {
       { type: "separator" },
       { label: "Quit", accelerator: "Command+Q", click: function() { app.quit(); }}
     ]}, {
+      label: "Account",
+      submenu: accountMenu(account)
+    }, {
       label: "View",
-      submenu: [
+      submenu: [{
+    label: 'Next Unread Channel',
+    accelerator: 'Alt+Shift+Down',
+    click: function (item, focusedWindow) {
+      if (focusedWindow) {
+        focusedWindow.webContents.send('next-unread');
+      }
+    }
+  }, {
+    label: 'Search Archive...',
+    accelerator: 'CmdOrCtrl+Shift+F',
+    click: function (item, focusedWindow) {
+      if (focusedWindow) {
+        focusedWindow.webContents.send('open-search');
+      }
+    }
+  }, {
+    label: 'Moderation Log...',
+    click: function (item, focusedWindow) {
+      if (focusedWindow) {
+        focusedWindow.webContents.send('open-moderation-log');
+      }
+    }
+  }, {
+    label: 'Diagnostics',
+    click: function () { account.diagnostics(); }
+  }, { type: "separator" },
       /*{
     label: 'Reload',
     accelerator: 'CmdOrCtrl+R',
@@ -46,6 +129,9 @@ module.exports = function (app) {
     }
   }
     ]}, {
+      label: "Plugins",
+      submenu: pluginsMenu(account)
+    }, {
       label: "Edit",
       submenu: [
       { label: "Undo", accelerator: "CmdOrCtrl+Z", selector: "undo:" },
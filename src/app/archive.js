@@ -0,0 +1,281 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const Datastore = require('nedb');
+
+// maximum number of search results sent to the client
+const LIMIT = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param  {String} text text to escape
+ * @return {String}      escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert an eris message to an archive document
+ * @param  {Object} message eris message
+ * @return {Object}         archive document
+ */
+function record(message) {
+  let channel = message.channel,
+    guild = channel.guild,
+    attachments = (message.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      url: attachment.url,
+      size: attachment.size
+    }));
+
+  return {
+    _id: message.id,
+    channel: channel.id,
+    channelName: channel.name || null,
+    guild: guild ? guild.id : null,
+    guildName: guild ? guild.name : null,
+    author: {
+      id: message.author.id,
+      username: message.author.username,
+      discriminator: message.author.discriminator
+    },
+    content: message.content || '',
+    timestamp: message.timestamp,
+    editedTimestamp: message.editedTimestamp || null,
+    attachments: attachments,
+    hasAttachment: attachments.length > 0
+  };
+}
+
+/**
+ * Local archive of the messages the client has seen
+ *
+ * Messages are stored in a nedb datastore per guild next to the config db,
+ * direct messages share one datastore. Settings are a config document with
+ * type "archive", the archive is off until it's enabled.
+ */
+class Archive {
+
+  /**
+   * @param  {Object} config    nedb config datastore
+   * @param  {String} directory directory to store the archive datastores in
+   */
+  constructor(config, directory) {
+    this.config = config;
+    this.directory = directory;
+    this.stores = {};
+    // pending writes by message id, each waits for the one before it
+    this.writes = {};
+    this.settings = { enabled: false, retentionDays: 0 };
+  }
+
+  /**
+   * Load the archive settings and remove messages past the retention period
+   * @param  {Function} callback called when the settings are loaded
+   */
+  load(callback) {
+    this.config.findOne({ type: 'archive' }, (err, doc) => {
+      if (doc) {
+        this.settings = { enabled: !!doc.enabled, retentionDays: doc.retentionDays || 0 };
+      }
+
+      if (!this.pruneTimer) {
+        this.pruneTimer = setInterval(() => this.prune(), DAY);
+      }
+
+      this.prune();
+      callback(err);
+    });
+  }
+
+  /**
+   * Save the archive settings
+   * @param  {Object}   settings whether the archive is enabled and days to keep messages, 0 keeps them forever
+   * @param  {Function} callback called when the settings are saved
+   */
+  saveSettings(settings, callback) {
+    this.settings = {
+      enabled: !!settings.enabled,
+      retentionDays: Math.max(0, parseInt(settings.retentionDays, 10) || 0)
+    };
+
+    this.config.update(
+      { type: 'archive' },
+      { type: 'archive', enabled: this.settings.enabled, retentionDays: this.settings.retentionDays },
+      { upsert: true },
+      err => {
+        this.prune();
+        callback(err);
+      }
+    );
+  }
+
+  /**
+   * Get the datastore of a guild, creating it if needed
+   * @param  {String} guildId guild id, null for direct messages
+   * @return {Object}         nedb datastore
+   */
+  datastore(guildId) {
+    let key = guildId || 'private';
+
+    if (!this.stores[key]) {
+      this.stores[key] = new Datastore({
+        filename: path.join(this.directory, `archive-${key}.db`),
+        autoload: true
+      });
+      this.stores[key].ensureIndex({ fieldName: 'timestamp' });
+    }
+
+    return this.stores[key];
+  }
+
+  /**
+   * List the keys of every archive datastore on disk
+   * @return {Array} guild ids, and private for direct messages
+   */
+  keys() {
+    let files;
+
+    try {
+      files = fs.readdirSync(this.directory);
+    } catch (e) {
+      return [];
+    }
+
+    return files
+      .map(file => /^archive-(.+)\.db$/.exec(file))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  /**
+   * Add or update a message, keeping the previous content when it was edited
+   * Writes to the same message are queued so an edit always reads the content the one before it saved
+   * @param  {Object} message eris message
+   */
+  add(message) {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    let doc = record(message),
+      id = doc._id,
+      db = this.datastore(doc.guild);
+
+    delete doc._id;
+
+    let write = (this.writes[id] || Promise.resolve()).then(() => new Promise(resolve => {
+      db.findOne({ _id: id }, (err, existing) => {
+        if (err) {
+          console.log(err);
+          return resolve();
+        }
+
+        // only set the message fields so a deletion recorded in the meantime is kept
+        let update = { $set: doc };
+
+        if (existing && existing.content !== doc.content) {
+          update.$push = { edits: { content: existing.content, timestamp: existing.editedTimestamp || existing.timestamp } };
+        }
+
+        db.update({ _id: id }, update, { upsert: true }, err => {
+          if (err) console.log(err);
+          resolve();
+        });
+      });
+    }));
+
+    this.writes[id] = write;
+    write.then(() => {
+      if (this.writes[id] === write) delete this.writes[id];
+    });
+  }
+
+  /**
+   * Mark messages as deleted
+   * @param  {String} guildId guild id, null for direct messages
+   * @param  {Array}  ids     message ids
+   */
+  markDeleted(guildId, ids) {
+    if (!this.settings.enabled) {
+      return;
+    }
+
+    this.datastore(guildId).update(
+      { _id: { $in: ids } },
+      { $set: { deleted: true, deletedAt: Date.now() } },
+      { multi: true },
+      err => { if (err) console.log(err); }
+    );
+  }
+
+  /**
+   * Search the archive
+   * @param  {Object}  query text, author name or id, guild id, channel id, from and to timestamps, hasAttachment
+   * @return {Promise}       resolves with the newest matching documents
+   */
+  search(query) {
+    let find = {};
+
+    if (query.text) {
+      find.content = { $regex: new RegExp(escapeRegExp(query.text), 'i') };
+    }
+
+    if (query.author) {
+      let author = new RegExp(escapeRegExp(query.author), 'i');
+      find.$or = [{ 'author.id': query.author }, { 'author.username': { $regex: author } }];
+    }
+
+    if (query.channel) {
+      find.channel = query.channel;
+    }
+
+    if (query.from || query.to) {
+      find.timestamp = {};
+      if (query.from) find.timestamp.$gte = query.from;
+      if (query.to) find.timestamp.$lte = query.to;
+    }
+
+    if (query.hasAttachment) {
+      find.hasAttachment = true;
+    }
+
+    let keys = query.guild ? [query.guild] : this.keys();
+
+    return Promise.all(keys.map(key => new Promise((resolve, reject) => {
+      this.datastore(key).find(find).sort({ timestamp: -1 }).limit(LIMIT).exec((err, docs) => {
+        if (err) return reject(err);
+        resolve(docs);
+      });
+    }))).then(results => {
+      return [].concat.apply([], results)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, LIMIT);
+    });
+  }
+
+  /**
+   * Remove messages older than the retention period
+   */
+  prune() {
+    if (!this.settings.retentionDays) {
+      return;
+    }
+
+    let cutoff = Date.now() - this.settings.retentionDays * DAY;
+
+    for (let key of this.keys()) {
+      let db = this.datastore(key);
+
+      db.remove({ timestamp: { $lt: cutoff } }, { multi: true }, (err, removed) => {
+        if (err) return console.log(err);
+        if (removed) db.persistence.compactDatafile();
+      });
+    }
+  }
+}
+
+module.exports = Archive;
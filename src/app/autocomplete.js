@@ -0,0 +1,223 @@
+"use strict";
+
+const commands = require('./commands');
+
+// maximum number of suggestions sent to the client
+const LIMIT = 10;
+
+/**
+ * Score how well a query fuzzy matches some text
+ * Every character of the query has to appear in order, prefixes and runs of
+ * consecutive characters score higher.
+ *
+ * @param  {String} query text typed by the user
+ * @param  {String} text  text to match against
+ * @return {Number}       0 if it doesn't match, higher is a better match
+ */
+function fuzzyScore(query, text) {
+  query = query.toLowerCase();
+  text = (text || '').toLowerCase();
+
+  if (!query) {
+    return 1;
+  }
+
+  let score = 0,
+    streak = 0,
+    position = 0;
+
+  for (let char of query) {
+    let found = text.indexOf(char, position);
+
+    if (found === -1) {
+      return 0;
+    }
+
+    streak = found === position ? streak + 1 : 0;
+    score += 1 + streak * 2 + (found === 0 ? 5 : 0);
+    position = found + 1;
+  }
+
+  if (text.indexOf(query) === 0) {
+    score += 10;
+  }
+
+  // prefer shorter names when the score is otherwise the same
+  return score + 1 / text.length;
+}
+
+/**
+ * Score candidates against a query and return the best matches
+ * @param  {Array}    candidates suggestion objects
+ * @param  {String}   query      text typed by the user
+ * @param  {Function} names      returns the names a candidate can be matched by
+ * @return {Array}               best matching suggestions
+ */
+function rank(candidates, query, names) {
+  return candidates
+    .map(item => ({
+      item: item,
+      score: Math.max.apply(null, names(item).map(name => fuzzyScore(query, name)))
+    }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LIMIT)
+    .map(result => result.item);
+}
+
+/**
+ * Suggest users and roles for an @ mention
+ * @param  {Object} channel eris channel
+ * @param  {String} query   text typed after the @
+ * @return {Array}          suggestions
+ */
+function mentions(channel, query) {
+  let guild = channel.guild,
+    candidates = [];
+
+  if (!guild) {
+    // direct messages can only mention the recipients
+    let recipients = channel.recipients ? Array.from(channel.recipients.values()) : [];
+
+    return rank(recipients.map(user => ({
+      label: user.username,
+      detail: `${user.username}#${user.discriminator}`,
+      insert: `<@${user.id}>`,
+      names: [user.username]
+    })), query, item => item.names);
+  }
+
+  guild.members.forEach(member => {
+    candidates.push({
+      label: member.nick || member.username,
+      detail: `${member.username}#${member.discriminator}`,
+      insert: `<@${member.id}>`,
+      names: [member.nick, member.username].filter(Boolean)
+    });
+  });
+
+  guild.roles.forEach(role => {
+    // the everyone role has the guild id and a wire format of its own
+    let everyone = role.id === guild.id;
+
+    candidates.push({
+      label: everyone ? '@everyone' : `@${role.name}`,
+      detail: 'Role',
+      insert: everyone ? '@everyone' : `<@&${role.id}>`,
+      names: [everyone ? 'everyone' : role.name]
+    });
+  });
+
+  candidates.push({ label: '@here', detail: 'Online members', insert: '@here', names: ['here'] });
+
+  return rank(candidates, query, item => item.names);
+}
+
+/**
+ * Suggest channels for a # link
+ * @param  {Object} channel eris channel
+ * @param  {String} query   text typed after the #
+ * @return {Array}          suggestions
+ */
+function channels(channel, query) {
+  if (!channel.guild) {
+    return [];
+  }
+
+  let candidates = [];
+
+  channel.guild.channels.forEach(ch => {
+    // text and announcement channels
+    if (ch.type !== 0 && ch.type !== 5) return;
+
+    candidates.push({
+      label: `#${ch.name}`,
+      detail: ch.topic || '',
+      insert: `<#${ch.id}>`,
+      names: [ch.name]
+    });
+  });
+
+  return rank(candidates, query, item => item.names);
+}
+
+/**
+ * Suggest custom emoji for :name:
+ * @param  {Object} channel eris channel
+ * @param  {String} query   text typed after the :
+ * @return {Array}          suggestions
+ */
+function emoji(channel, query) {
+  if (!channel.guild) {
+    return [];
+  }
+
+  let candidates = (channel.guild.emojis || []).map(e => ({
+    label: `:${e.name}:`,
+    detail: '',
+    image: `https://cdn.discordapp.com/emojis/${e.id}.${e.animated ? 'gif' : 'png'}`,
+    insert: `<${e.animated ? 'a' : ''}:${e.name}:${e.id}>`,
+    names: [e.name]
+  }));
+
+  return rank(candidates, query, item => item.names);
+}
+
+/**
+ * Suggest slash commands by name
+ * @param  {String} query text typed after the /
+ * @return {Array}        suggestions
+ */
+function slashCommands(query) {
+  let candidates = commands.list().map(command => ({
+    label: `/${command.name}`,
+    detail: command.description,
+    insert: `/${command.name}`,
+    names: [command.name]
+  }));
+
+  return rank(candidates, query, item => item.names);
+}
+
+/**
+ * Find autocomplete suggestions for the composer
+ * @param  {Object} channel eris channel the message is being written in
+ * @param  {String} trigger @, #, : or /
+ * @param  {String} query   text typed after the trigger
+ * @return {Array}          suggestions with a label, detail, optional image and the text to insert
+ */
+function suggest(channel, trigger, query) {
+  if (!channel) {
+    return [];
+  }
+
+  let items;
+
+  switch (trigger) {
+    case '@':
+      items = mentions(channel, query);
+      break;
+    case '#':
+      items = channels(channel, query);
+      break;
+    case ':':
+      items = emoji(channel, query);
+      break;
+    case '/':
+      items = slashCommands(query);
+      break;
+    default:
+      items = [];
+  }
+
+  // names are only used for matching
+  return items.map(item => {
+    delete item.names;
+    return item;
+  });
+}
+
+module.exports = {
+  fuzzyScore: fuzzyScore,
+  suggest: suggest
+};
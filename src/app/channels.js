@@ -0,0 +1,484 @@
+"use strict";
+
+const Roles = require('./roles');
+
+// channel types shown in the sidebar, and that the editor can list and create
+const TYPES = {
+  0: 'Text',
+  2: 'Voice',
+  4: 'Category',
+  5: 'Announcement',
+  13: 'Stage'
+};
+
+const CATEGORY = 4;
+
+// longest slowmode discord allows, in seconds
+const MAX_SLOWMODE = 21600;
+
+// longest channel topic
+const MAX_TOPIC = 1024;
+
+/**
+ * Sort channels the way discord does, by position then id
+ * @param  {Object} a eris channel
+ * @param  {Object} b eris channel
+ * @return {Number}
+ */
+function byPosition(a, b) {
+  return a.position - b.position || (a.id < b.id ? -1 : 1);
+}
+
+/**
+ * Group of a channel type for sorting, text and announcement channels come before voice and stage channels
+ * @param  {Number} type channel type
+ * @return {Number}      0 for text, 1 for voice and 2 for categories
+ */
+function sortGroup(type) {
+  return type === CATEGORY ? 2 : (type === 2 || type === 13 ? 1 : 0);
+}
+
+/**
+ * Sort channels in a category the way discord's sidebar does
+ * @param  {Object} a eris channel
+ * @param  {Object} b eris channel
+ * @return {Number}
+ */
+function bySidebar(a, b) {
+  return sortGroup(a.type) - sortGroup(b.type) || byPosition(a, b);
+}
+
+/**
+ * Arrange channels the way discord's sidebar does, channels without a category first and then each category
+ * Channels whose category isn't in the list are shown without one.
+ * @param  {Array} channels eris channels, including the categories to show
+ * @return {Array}          sections, with the category (null for the first) and its channels in order
+ */
+function layout(channels) {
+  let categories = channels.filter(channel => channel.type === CATEGORY).sort(byPosition),
+    ids = categories.map(category => category.id),
+    sections = [{ category: null, channels: [] }].concat(categories.map(category => ({ category: category, channels: [] })));
+
+  for (let channel of channels.filter(channel => channel.type !== CATEGORY).sort(bySidebar)) {
+    sections[ids.indexOf(channel.parentID) + 1].channels.push(channel);
+  }
+
+  return sections;
+}
+
+/**
+ * Creates, edits, reorders and deletes a guild's channels and their permission
+ * overwrites, within what the bot is allowed to do
+ *
+ * Channels need Manage Channels and overwrites need Manage Permissions in the
+ * channel. Like roles, an overwrite can only allow or deny permissions the bot
+ * has in the channel, everything else is kept as it is.
+ */
+class Channels {
+
+  /**
+   * @param  {Object} bot   eris client
+   * @param  {Object} roles roles, for guild lookups and the permission constants
+   */
+  constructor(bot, roles) {
+    this.bot = bot;
+    this.roles = roles;
+  }
+
+  /**
+   * Check if the bot has a permission across a guild
+   * @param  {Object}  guild eris guild
+   * @param  {String}  name  permission name
+   * @return {Boolean}
+   */
+  guildPermission(guild, name) {
+    let self = guild.members.get(this.bot.user.id);
+    return guild.ownerID === this.bot.user.id || (!!self && self.permissions.has(name));
+  }
+
+  /**
+   * Explain why the bot can't change a channel
+   * @param  {Object} channel eris guild channel
+   * @return {String}         the reason, null if the bot can change it
+   */
+  lockedReason(channel) {
+    if (!channel.permissionsOf(this.bot.user.id).has('manageChannels')) {
+      return 'The bot needs the Manage Channels permission in this channel to change it.';
+    }
+
+    return null;
+  }
+
+  /**
+   * Explain why the bot can't change a channel's permission overwrites
+   * @param  {Object} channel eris guild channel
+   * @return {String}         the reason, null if the bot can change them
+   */
+  overwritesLockedReason(channel) {
+    if (!channel.permissionsOf(this.bot.user.id).has('manageRoles')) {
+      return 'The bot needs the Manage Permissions permission in this channel to change its overwrites.';
+    }
+
+    return null;
+  }
+
+  /**
+   * Permissions the bot can allow or deny in a channel's overwrites, it can only change what it has
+   * @param  {Object} channel eris guild channel
+   * @return {Array}          permission names
+   */
+  grantable(channel) {
+    let permissions = channel.permissionsOf(this.bot.user.id);
+
+    return Roles.PERMISSIONS
+      .filter(permission => permissions.has(permission.name))
+      .map(permission => permission.name);
+  }
+
+  /**
+   * Describe a channel's permission overwrites
+   * @param  {Object} channel eris guild channel
+   * @return {Array}          overwrites, roles in hierarchy order then members
+   */
+  overwrites(channel) {
+    let guild = channel.guild;
+
+    return channel.permissionOverwrites
+      .map(overwrite => {
+        let role = overwrite.type === 0 ? guild.roles.get(overwrite.id) : null,
+          member = overwrite.type === 1 ? guild.members.get(overwrite.id) : null;
+
+        return {
+          id: overwrite.id,
+          type: overwrite.type === 1 ? 'member' : 'role',
+          name: overwrite.id === guild.id ? '@everyone' :
+            role ? role.name :
+            member ? `${member.username}#${member.discriminator}` : overwrite.id,
+          position: role ? role.position : -1,
+          allow: Roles.PERMISSIONS.filter(permission => overwrite.allow & this.roles.permissions[permission.name]).map(permission => permission.name),
+          deny: Roles.PERMISSIONS.filter(permission => overwrite.deny & this.roles.permissions[permission.name]).map(permission => permission.name)
+        };
+      })
+      .sort((a, b) => (a.type === b.type ? b.position - a.position : (a.type === 'role' ? -1 : 1)) || (a.name < b.name ? -1 : 1));
+  }
+
+  /**
+   * Describe a guild's channels for the editor
+   * @param  {String} guildId guild id
+   * @return {Object}         guild, channels in list order, roles for new overwrites and the permissions
+   */
+  describe(guildId) {
+    let guild = this.roles.guild(guildId),
+      sections = layout(guild.channels.filter(channel => TYPES[channel.type]));
+
+    // each category is listed before its channels
+    let channels = sections
+      .reduce((list, section) => list.concat(section.category ? [section.category] : [], section.channels), [])
+      .map(channel => ({
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        typeName: TYPES[channel.type],
+        // only text and announcement channels have topics
+        textable: channel.type === 0 || channel.type === 5,
+        parentID: channel.type === CATEGORY ? null : channel.parentID || null,
+        topic: channel.topic || '',
+        nsfw: !!channel.nsfw,
+        rateLimitPerUser: channel.rateLimitPerUser || 0,
+        position: channel.position,
+        locked: this.lockedReason(channel),
+        overwritesLocked: this.overwritesLockedReason(channel),
+        grantable: this.grantable(channel),
+        overwrites: this.overwrites(channel)
+      }));
+
+    let roles = guild.roles
+      .map(role => ({ id: role.id, name: role.id === guild.id ? '@everyone' : role.name, position: role.position }))
+      .sort((a, b) => b.position - a.position || (a.id < b.id ? -1 : 1));
+
+    return {
+      guild: { id: guild.id, name: guild.name },
+      channels: channels,
+      roles: roles,
+      categories: sections.filter(section => section.category).map(section => ({ id: section.category.id, name: section.category.name })),
+      types: Object.keys(TYPES).map(type => ({ type: Number(type), name: TYPES[type] })),
+      canCreate: this.guildPermission(guild, 'manageChannels'),
+      permissions: Roles.PERMISSIONS
+    };
+  }
+
+  /**
+   * Make a change to a guild's channels
+   * @param  {Object}  request guild id, action (create, edit, move, delete, overwrite or removeOverwrite) and its options
+   * @return {Promise}         resolves when discord has made the change
+   */
+  update(request) {
+    let guild = this.roles.guild(request.guild);
+
+    switch (request.action) {
+      case 'create':
+        return this.create(guild, request.changes || {});
+      case 'edit':
+        return this.edit(this.channel(guild, request.channel), request.changes || {});
+      case 'move':
+        return this.move(guild, this.channel(guild, request.channel), request.direction);
+      case 'delete':
+        return this.remove(this.channel(guild, request.channel));
+      case 'overwrite':
+        return this.overwrite(this.channel(guild, request.channel), request.target || {}, request.allow || [], request.deny || []);
+      case 'removeOverwrite':
+        return this.removeOverwrite(this.channel(guild, request.channel), request.target || {});
+      default:
+        throw new Error(`Unknown channel action ${request.action}`);
+    }
+  }
+
+  /**
+   * Get a channel of a guild
+   * @param  {Object} guild     eris guild
+   * @param  {String} channelId channel id
+   * @return {Object}           eris guild channel
+   */
+  channel(guild, channelId) {
+    let channel = guild.channels.get(channelId);
+
+    if (!channel) {
+      throw new Error('The channel no longer exists');
+    }
+
+    return channel;
+  }
+
+  /**
+   * Throw if the bot can't change a channel
+   * @param  {Object} channel eris guild channel
+   */
+  checkChannel(channel) {
+    let reason = this.lockedReason(channel);
+
+    if (reason) {
+      throw new Error(reason);
+    }
+  }
+
+  /**
+   * Convert channel changes from the editor to eris channel options
+   * @param  {Object} guild   eris guild
+   * @param  {Number} type    type of the channel being changed
+   * @param  {Object} changes name, topic, nsfw, slowmode and category
+   * @return {Object}         eris channel options
+   */
+  options(guild, type, changes) {
+    let options = {};
+
+    if (changes.name !== undefined) {
+      let name = String(changes.name).trim();
+
+      if (!name || name.length > 100) {
+        throw new Error('Channel names must be 1 to 100 characters');
+      }
+
+      options.name = name;
+    }
+
+    if (changes.topic !== undefined) {
+      let topic = String(changes.topic || '');
+
+      if (topic.length > MAX_TOPIC) {
+        throw new Error(`Topics can be up to ${MAX_TOPIC} characters`);
+      }
+
+      options.topic = topic;
+    }
+
+    if (changes.nsfw !== undefined) options.nsfw = !!changes.nsfw;
+
+    if (changes.rateLimitPerUser !== undefined) {
+      let seconds = Number(changes.rateLimitPerUser);
+
+      if (!(seconds >= 0 && seconds <= MAX_SLOWMODE && seconds % 1 === 0)) {
+        throw new Error('Slowmode can be up to 6 hours');
+      }
+
+      options.rateLimitPerUser = seconds;
+    }
+
+    if (changes.parentID !== undefined) {
+      let parent = changes.parentID ? guild.channels.get(changes.parentID) : null;
+
+      if (type === CATEGORY && parent) {
+        throw new Error('Categories can\'t be put in a category');
+      }
+
+      if (changes.parentID && !(parent && parent.type === CATEGORY)) {
+        throw new Error('The category no longer exists');
+      }
+
+      options.parentID = parent ? parent.id : null;
+    }
+
+    return options;
+  }
+
+  /**
+   * Create a channel, it's added at the bottom of its category
+   * @param  {Object}  guild   eris guild
+   * @param  {Object}  changes type, name, topic, nsfw, slowmode and category
+   * @return {Promise}
+   */
+  create(guild, changes) {
+    if (!this.guildPermission(guild, 'manageChannels')) {
+      throw new Error('The bot needs the Manage Channels permission to create channels.');
+    }
+
+    let type = Number(changes.type || 0);
+
+    if (!TYPES[type]) {
+      throw new Error(`Unknown channel type ${changes.type}`);
+    }
+
+    let options = this.options(guild, type, Object.assign({ name: type === CATEGORY ? 'new category' : 'new-channel' }, changes)),
+      name = options.name;
+
+    delete options.name;
+
+    return this.bot.createChannel(guild.id, name, type, options);
+  }
+
+  /**
+   * Edit a channel
+   * @param  {Object}  channel eris guild channel
+   * @param  {Object}  changes name, topic, nsfw, slowmode and category
+   * @return {Promise}
+   */
+  edit(channel, changes) {
+    this.checkChannel(channel);
+    return this.bot.editChannel(channel.id, this.options(channel.guild, channel.type, changes));
+  }
+
+  /**
+   * Move a channel one place up or down its category
+   * Positions are only compared between channels sorted together, so every one of them
+   * is renumbered in order, which also sorts out channels sharing a position.
+   * @param  {Object}  guild     eris guild
+   * @param  {Object}  channel   eris guild channel
+   * @param  {String}  direction up or down
+   * @return {Promise}
+   */
+  move(guild, channel, direction) {
+    this.checkChannel(channel);
+
+    let channels = guild.channels.filter(other => TYPES[other.type] && sortGroup(other.type) === sortGroup(channel.type)).sort(byPosition),
+      index = channels.indexOf(channel),
+      step = direction === 'up' ? -1 : 1,
+      other = index + step;
+
+    // skip over channels in other categories
+    while (channels[other] && (channels[other].parentID || null) !== (channel.parentID || null)) {
+      other += step;
+    }
+
+    if (!channels[other]) {
+      throw new Error(`The channel is already at the ${direction === 'up' ? 'top' : 'bottom'}`);
+    }
+
+    channels[index] = channels[other];
+    channels[other] = channel;
+
+    let positions = channels
+      .map((other, position) => ({ id: other.id, position: position }))
+      .filter((update, position) => channels[position].position !== position);
+
+    return this.bot.editChannelPositions(guild.id, positions);
+  }
+
+  /**
+   * Delete a channel
+   * @param  {Object}  channel eris guild channel
+   * @return {Promise}
+   */
+  remove(channel) {
+    this.checkChannel(channel);
+    return this.bot.deleteChannel(channel.id);
+  }
+
+  /**
+   * Set a role's or member's permission overwrite on a channel
+   * @param  {Object}  channel eris guild channel
+   * @param  {Object}  target  id and type (role or member) of the overwrite
+   * @param  {Array}   allow   permission names to allow
+   * @param  {Array}   deny    permission names to deny, everything else is neutral
+   * @return {Promise}
+   */
+  overwrite(channel, target, allow, deny) {
+    let reason = this.overwritesLockedReason(channel);
+
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    if (target.type === 'role' ? !channel.guild.roles.has(target.id) : !channel.guild.members.has(target.id)) {
+      throw new Error(`The ${target.type === 'role' ? 'role' : 'member'} no longer exists`);
+    }
+
+    let permissions = this.roles.permissions,
+      existing = channel.permissionOverwrites.get(target.id),
+      grantable = this.grantable(channel),
+      existingAllow = existing ? existing.allow : BigInt(0),
+      existingDeny = existing ? existing.deny : BigInt(0),
+      // keep the bits the editor doesn't show
+      hidden = ~this.roles.shown(),
+      allowBits = existingAllow & hidden,
+      denyBits = existingDeny & hidden;
+
+    for (let name of allow.concat(deny)) {
+      if (permissions[name] === undefined) {
+        throw new Error(`Unknown permission ${name}`);
+      }
+
+      if (allow.indexOf(name) !== -1 && deny.indexOf(name) !== -1) {
+        throw new Error(`${name} can't be both allowed and denied`);
+      }
+    }
+
+    for (let name of allow) allowBits |= permissions[name];
+    for (let name of deny) denyBits |= permissions[name];
+
+    let changed = (existingAllow ^ allowBits) | (existingDeny ^ denyBits),
+      refused = Roles.PERMISSIONS
+        .filter(permission => (changed & permissions[permission.name]) && grantable.indexOf(permission.name) === -1)
+        .map(permission => permission.name);
+
+    if (refused.length) {
+      throw new Error(`The bot can't change permissions it doesn't have here: ${refused.join(', ')}`);
+    }
+
+    return this.bot.editChannelPermission(channel.id, target.id, allowBits, denyBits, target.type === 'member' ? 1 : 0);
+  }
+
+  /**
+   * Remove a permission overwrite from a channel
+   * @param  {Object}  channel eris guild channel
+   * @param  {Object}  target  id of the overwrite
+   * @return {Promise}
+   */
+  removeOverwrite(channel, target) {
+    let reason = this.overwritesLockedReason(channel);
+
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    if (!channel.permissionOverwrites.has(target.id)) {
+      throw new Error('The overwrite no longer exists');
+    }
+
+    return this.bot.deleteChannelPermission(channel.id, target.id);
+  }
+}
+
+// the sidebar is laid out the same way as the editor
+Channels.TYPES = TYPES;
+Channels.layout = layout;
+
+module.exports = Channels;
@@ -0,0 +1,274 @@
+"use strict";
+
+const STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+// most messages purge will delete at once
+const PURGE_LIMIT = 1000;
+
+/**
+ * Split command arguments on spaces, double quotes keep spaces in an argument
+ * @param  {String} text text after the command name
+ * @return {Array}       arguments
+ */
+function parseArgs(text) {
+  let args = [],
+    pattern = /"((?:\\.|[^"\\])*)"|(\S+)/g,
+    match;
+
+  while ((match = pattern.exec(text))) {
+    args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+  }
+
+  return args;
+}
+
+/**
+ * Throw a usage error for a command
+ * @param  {Object} command command
+ */
+function usage(command) {
+  throw new Error(`Usage: ${command.usage}`);
+}
+
+/**
+ * Throw if a command is used outside a server
+ * @param  {Object} ctx command context
+ */
+function requireGuild(ctx) {
+  if (!ctx.channel.guild) {
+    throw new Error('This command only works in server channels.');
+  }
+}
+
+/**
+ * The commands, run with a context of the eris client and channel, the arguments and the
+ * text after the command name. They resolve with text to show in the client, or nothing.
+ */
+const COMMANDS = [{
+  name: 'help',
+  usage: '/help [command]',
+  description: 'List the commands, or show how to use one',
+  run(ctx, args) {
+    if (args[0]) {
+      let command = find(args[0].replace(/^\//, ''));
+      if (!command) throw new Error(`Unknown command /${args[0]}`);
+      return `${command.usage}\n${command.description}`;
+    }
+
+    return COMMANDS.map(command => `${command.usage} - ${command.description}`).join('\n');
+  }
+}, {
+  name: 'me',
+  usage: '/me <text>',
+  description: 'Send a message in italics',
+  run(ctx, args, rest) {
+    if (!rest) usage(this);
+    return ctx.send(`_${rest}_`);
+  }
+}, {
+  name: 'shrug',
+  usage: '/shrug [text]',
+  description: 'Send a message with a shrug',
+  run(ctx, args, rest) {
+    return ctx.send(`${rest} ¯\\_(ツ)_/¯`.trim());
+  }
+}, {
+  name: 'tableflip',
+  usage: '/tableflip [text]',
+  description: 'Send a message with a flipped table',
+  run(ctx, args, rest) {
+    return ctx.send(`${rest} (╯°□°）╯︵ ┻━┻`.trim());
+  }
+}, {
+  name: 'unflip',
+  usage: '/unflip [text]',
+  description: 'Put the table back',
+  run(ctx, args, rest) {
+    return ctx.send(`${rest} ┬─┬ ノ( ゜-゜ノ)`.trim());
+  }
+}, {
+  name: 'spoiler',
+  usage: '/spoiler <text>',
+  description: 'Send a message hidden behind a spoiler',
+  run(ctx, args, rest) {
+    if (!rest) usage(this);
+    return ctx.send(`||${rest}||`);
+  }
+}, {
+  name: 'raw',
+  usage: '/raw <text>',
+  description: 'Send text as it is, e.g. a message that starts with /',
+  run(ctx, args, rest) {
+    if (!rest) usage(this);
+    return ctx.send(rest);
+  }
+}, {
+  name: 'embed',
+  usage: '/embed <title> | <description>, or /embed <json>',
+  description: 'Send an embed, use the embed builder for anything more',
+  run(ctx, args, rest) {
+    if (!rest) usage(this);
+
+    let embed;
+
+    if (rest[0] === '{') {
+      try {
+        embed = JSON.parse(rest);
+      } catch (e) {
+        throw new Error(`The embed isn't valid JSON: ${e.message}`);
+      }
+    } else {
+      let parts = rest.split('|');
+      embed = { title: parts[0].trim(), description: parts.slice(1).join('|').trim() || undefined };
+    }
+
+    return ctx.send({ embed: embed });
+  }
+}, {
+  name: 'nick',
+  usage: '/nick [nickname]',
+  description: 'Change the bot\'s nickname in this server, leave it out to reset it',
+  run(ctx, args, rest) {
+    requireGuild(ctx);
+
+    return ctx.bot.editGuildMember(ctx.channel.guild.id, '@me', { nick: rest || null })
+      .then(() => rest ? `Nickname changed to ${rest}` : 'Nickname reset');
+  }
+}, {
+  name: 'topic',
+  usage: '/topic [text]',
+  description: 'Set the channel topic, leave it out to clear it',
+  run(ctx, args, rest) {
+    requireGuild(ctx);
+
+    return ctx.bot.editChannel(ctx.channel.id, { topic: rest })
+      .then(() => rest ? `Topic set to ${rest}` : 'Topic cleared');
+  }
+}, {
+  name: 'status',
+  usage: '/status <online|idle|dnd|invisible> [playing text]',
+  description: 'Set the bot\'s status and what it\'s playing',
+  run(ctx, args, rest) {
+    let status = (args[0] || '').toLowerCase();
+
+    if (STATUSES.indexOf(status) === -1) usage(this);
+
+    let game = rest.slice(args[0].length).trim();
+
+    ctx.bot.editStatus(status, game ? [{ name: game, type: 0 }] : []);
+    return `Status set to ${status}${game ? `, playing ${game}` : ''}`;
+  }
+}, {
+  name: 'purge',
+  usage: `/purge <count>`,
+  description: `Delete the last messages in this channel, up to ${PURGE_LIMIT}`,
+  run(ctx, args) {
+    let count = parseInt(args[0], 10);
+
+    if (!(count > 0 && count <= PURGE_LIMIT)) usage(this);
+
+    return ctx.bot.purgeChannel(ctx.channel.id, { limit: count })
+      .then(deleted => `Deleted ${deleted} message${deleted === 1 ? '' : 's'}`);
+  }
+}, {
+  name: 'react',
+  usage: '/react <emoji or name:id>',
+  description: 'React to the last message in this channel',
+  run(ctx, args) {
+    if (!args[0]) usage(this);
+
+    if (!ctx.channel.lastMessageID) {
+      throw new Error('There are no messages to react to.');
+    }
+
+    return ctx.bot.addMessageReaction(ctx.channel.id, ctx.channel.lastMessageID, args[0]).then(() => null);
+  }
+}, {
+  name: 'ping',
+  usage: '/ping',
+  description: 'Show the gateway latency',
+  run(ctx) {
+    let shard = ctx.channel.guild ? ctx.channel.guild.shard : ctx.bot.shards.get(0);
+    return `Gateway latency: ${shard && isFinite(shard.latency) ? `${shard.latency} ms` : 'unknown'}`;
+  }
+}, {
+  name: 'whois',
+  usage: '/whois <user id or mention>',
+  description: 'Look up a user',
+  run(ctx, args) {
+    let id = (args[0] || '').replace(/^<@!?(\d+)>$/, '$1');
+
+    if (!/^\d+$/.test(id)) usage(this);
+
+    let user = ctx.bot.users.get(id);
+
+    return (user ? Promise.resolve(user) : ctx.bot.getRESTUser(id)).then(user => {
+      let member = ctx.channel.guild && ctx.channel.guild.members.get(id),
+        lines = [
+          `${user.username}#${user.discriminator}${user.bot ? ' (bot)' : ''}`,
+          `ID: ${user.id}`,
+          `Created: ${new Date(user.createdAt).toUTCString()}`
+        ];
+
+      if (member) {
+        lines.push(`Nickname: ${member.nick || 'none'}`);
+        lines.push(`Joined: ${new Date(member.joinedAt).toUTCString()}`);
+      }
+
+      return lines.join('\n');
+    });
+  }
+}];
+
+/**
+ * Find a command by name
+ * @param  {String} name command name without the /
+ * @return {Object}      command, undefined if there isn't one
+ */
+function find(name) {
+  return COMMANDS.find(command => command.name === name.toLowerCase());
+}
+
+/**
+ * List the commands for help and autocomplete
+ * @return {Array} names, usage and descriptions
+ */
+function list() {
+  return COMMANDS.map(command => ({ name: command.name, usage: command.usage, description: command.description }));
+}
+
+/**
+ * Run a command typed in the composer
+ * @param  {Object}  bot     eris client
+ * @param  {Object}  channel eris channel the command was typed in
+ * @param  {String}  text    composer text, starting with /
+ * @return {Promise}         resolves with text to show in the client, or nothing if there's nothing to show
+ */
+function run(bot, channel, text) {
+  let match = /^\/(\S+)\s*([\s\S]*)$/.exec(text.trim());
+
+  if (!match) {
+    return Promise.reject(new Error('Type /help for a list of commands.'));
+  }
+
+  let command = find(match[1]);
+
+  if (!command) {
+    return Promise.reject(new Error(`Unknown command /${match[1]}, type /help for a list of commands.`));
+  }
+
+  let ctx = {
+    bot: bot,
+    channel: channel,
+    // messages sent by commands don't need a system message
+    send: content => bot.createMessage(channel.id, content).then(() => null)
+  };
+
+  return new Promise(resolve => resolve(command.run(ctx, parseArgs(match[2]), match[2].trim())));
+}
+
+module.exports = {
+  list: list,
+  parseArgs: parseArgs,
+  run: run
+};
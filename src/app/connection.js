@@ -0,0 +1,235 @@
+"use strict";
+
+// first retry delay and the most we'll wait between retries
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60 * 1000;
+
+// gateway close codes that retrying won't fix, with what the user can do about them
+const FATAL_CLOSE_CODES = {
+  4004: 'Discord rejected the token.',
+  4010: 'Discord rejected the shard settings, check the first and last shard ids and the shard count.',
+  4011: 'The bot is in too many servers for one shard, set a higher shard count.',
+  4013: 'The intents aren\'t valid, check the profile\'s intents.',
+  4014: 'The bot isn\'t allowed a privileged intent, enable it in the developer portal or turn it off in the profile.'
+};
+
+// number of state changes kept in the history
+const HISTORY_SIZE = 100;
+
+/**
+ * Time to wait before a retry, exponential with jitter so clients don't retry in step
+ * @param  {Number} attempt number of failed attempts so far
+ * @return {Number}         delay in milliseconds
+ */
+function backoff(attempt) {
+  let delay = Math.min(MAX_DELAY, BASE_DELAY * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Keeps an eris client connected
+ *
+ * The client is created with autoreconnect off so retries are scheduled here.
+ * Shards are reconnected through the client's shard manager, which resumes the
+ * session when it can. Retries go on until the token or the connection options
+ * are rejected.
+ */
+class Connection {
+
+  /**
+   * @param  {Object}   bot     eris client, created with autoreconnect off
+   * @param  {Function} onState called with the connection state when it changes
+   */
+  constructor(bot, onState) {
+    this.bot = bot;
+    this.onState = onState;
+    this.stopped = false;
+    // state, attempt and retry time per shard, the gateway key is used until the shards are spawned
+    this.shards = {};
+    this.timers = {};
+    this.state = { state: 'connecting', attempt: 0, retryAt: null, error: null };
+    // shard state changes, newest first
+    this.history = [];
+
+    bot.on('shardDisconnect', (err, id) => this.onShardDisconnect(err, id));
+    bot.on('shardReady', id => this.onShardConnected(id));
+    bot.on('shardResume', id => this.onShardConnected(id));
+  }
+
+  /**
+   * Connect to the gateway, retrying until it works
+   */
+  start() {
+    this.setShard('gateway', { state: 'connecting', attempt: (this.shards.gateway || {}).attempt || 0 });
+
+    this.bot.connect()
+      .then(() => {
+        delete this.shards.gateway;
+        this.update();
+      })
+      .catch(err => {
+        if (this.stopped) return;
+
+        if (err.code === 401) {
+          return this.reject(err);
+        }
+
+        this.retry('gateway', err, () => this.start());
+      });
+  }
+
+  /**
+   * Stop reconnecting, used before the client is disconnected on purpose
+   */
+  stop() {
+    this.stopped = true;
+
+    for (let key of Object.keys(this.timers)) {
+      clearTimeout(this.timers[key]);
+    }
+
+    this.timers = {};
+  }
+
+  /**
+   * Retry the next scheduled connection now
+   */
+  retryNow() {
+    for (let key of Object.keys(this.timers)) {
+      let timer = this.timers[key];
+
+      // run the callback of the timer straight away
+      clearTimeout(timer);
+      delete this.timers[key];
+      timer.retry();
+    }
+  }
+
+  /**
+   * Shard disconnect handler
+   * @param  {Object} err error, if any
+   * @param  {Number} id  shard id
+   */
+  onShardDisconnect(err, id) {
+    if (this.stopped) return;
+
+    if (err && FATAL_CLOSE_CODES[err.code]) {
+      return this.reject(new Error(`${FATAL_CLOSE_CODES[err.code]} (${err.code}: ${err.message})`));
+    }
+
+    let shard = this.bot.shards.get(id),
+      attempt = (this.shards[id] || {}).attempt || 0;
+
+    // try to resume straight away, back off if that doesn't work
+    if (shard.sessionID && attempt === 0) {
+      this.setShard(id, { state: 'resuming', attempt: 1, error: err ? err.message : null });
+      this.bot.shards.connect(shard);
+      return;
+    }
+
+    this.retry(id, err, () => {
+      this.setShard(id, { state: shard.sessionID ? 'resuming' : 'connecting', attempt: this.shards[id].attempt });
+      this.bot.shards.connect(shard);
+    });
+  }
+
+  /**
+   * Shard ready and resume handler
+   * @param  {Number} id shard id
+   */
+  onShardConnected(id) {
+    clearTimeout(this.timers[id]);
+    delete this.timers[id];
+    this.setShard(id, { state: 'connected', attempt: 0 });
+  }
+
+  /**
+   * Schedule a retry with backoff
+   * @param  {String}   key      shard id or gateway
+   * @param  {Object}   err      error that caused the retry
+   * @param  {Function} callback called to retry
+   */
+  retry(key, err, callback) {
+    let attempt = (this.shards[key] || {}).attempt || 0,
+      delay = backoff(attempt),
+      timer = setTimeout(() => {
+        delete this.timers[key];
+        callback();
+      }, delay);
+
+    timer.retry = callback;
+    clearTimeout(this.timers[key]);
+    this.timers[key] = timer;
+
+    this.setShard(key, {
+      state: 'offline',
+      attempt: attempt + 1,
+      retryAt: Date.now() + delay,
+      error: err ? err.message : null
+    });
+  }
+
+  /**
+   * Give up because the token or the connection options were rejected
+   * @param  {Object} err error
+   */
+  reject(err) {
+    this.stop();
+    this.record('gateway', 'rejected', err.message);
+    this.state = { state: 'rejected', attempt: 0, retryAt: null, error: err.message };
+    this.onState(this.state);
+  }
+
+  setShard(key, state) {
+    let previous = this.shards[key];
+
+    if (!previous || previous.state !== state.state) {
+      this.record(key, state.state, state.error);
+    }
+
+    this.shards[key] = state;
+    this.update();
+  }
+
+  /**
+   * Add a state change to the history
+   * @param  {String} key   shard id or gateway
+   * @param  {String} state new state
+   * @param  {String} error error that caused the change, if any
+   */
+  record(key, state, error) {
+    this.history.unshift({ time: Date.now(), shard: key, state: state, error: error || null });
+    this.history.length = Math.min(this.history.length, HISTORY_SIZE);
+  }
+
+  /**
+   * Combine the shard states into the state shown to the user
+   */
+  update() {
+    let shards = Object.keys(this.shards).map(key => this.shards[key]),
+      find = state => shards.filter(shard => shard.state === state),
+      offline = find('offline').sort((a, b) => a.retryAt - b.retryAt),
+      state;
+
+    if (offline.length) {
+      state = offline[0];
+    } else if (find('resuming').length) {
+      state = find('resuming')[0];
+    } else if (find('connecting').length || !shards.length) {
+      state = find('connecting')[0] || { state: 'connecting', attempt: 0 };
+    } else {
+      state = { state: 'connected', attempt: 0 };
+    }
+
+    this.state = {
+      state: state.state,
+      attempt: state.attempt || 0,
+      retryAt: state.retryAt || null,
+      error: state.error || null
+    };
+
+    this.onState(this.state);
+  }
+}
+
+module.exports = Connection;
@@ -0,0 +1,129 @@
+"use strict";
+
+// seconds of event counts kept for the event rate graph
+const WINDOW = 60;
+
+/**
+ * Collects connection and cache statistics from an eris client
+ *
+ * Gateway events are counted per second from the client's rawWS event, the rest
+ * is read from the client when a snapshot is taken.
+ */
+class Diagnostics {
+
+  /**
+   * @param  {Object} bot        eris client
+   * @param  {Object} connection connection keeping the client connected
+   */
+  constructor(bot, connection) {
+    this.bot = bot;
+    this.connection = connection;
+    // events per second, oldest first, and events per type over the same window
+    this.rates = [];
+    this.types = [];
+    this.second = Math.floor(Date.now() / 1000);
+    this.current = { count: 0, types: {} };
+
+    bot.on('rawWS', packet => this.count(packet));
+  }
+
+  /**
+   * Count a gateway packet
+   * @param  {Object} packet gateway packet
+   */
+  count(packet) {
+    this.tick();
+    this.current.count++;
+
+    let type = packet.t || `op ${packet.op}`;
+    this.current.types[type] = (this.current.types[type] || 0) + 1;
+  }
+
+  /**
+   * Move finished seconds into the history, including seconds without events
+   */
+  tick() {
+    let now = Math.floor(Date.now() / 1000);
+
+    // after a long gap only the last window matters
+    this.second = Math.max(this.second, now - WINDOW);
+
+    while (this.second < now) {
+      this.rates.push(this.current.count);
+      this.types.push(this.current.types);
+      this.current = { count: 0, types: {} };
+      this.second++;
+    }
+
+    this.rates = this.rates.slice(-WINDOW);
+    this.types = this.types.slice(-WINDOW);
+  }
+
+  /**
+   * Get the current statistics
+   * @return {Object} shards, cache sizes, uptime, reconnect history, exhausted rate limits and event rates
+   */
+  snapshot() {
+    let bot = this.bot,
+      now = Date.now();
+
+    this.tick();
+
+    let shards = bot.shards.map(shard => ({
+      id: shard.id,
+      status: shard.status,
+      ready: shard.ready,
+      latency: shard.latency === Infinity ? null : shard.latency,
+      guilds: bot.guilds.filter(guild => guild.shard && guild.shard.id === shard.id).length
+    }));
+
+    let channels = 0,
+      members = 0;
+
+    bot.guilds.forEach(guild => {
+      channels += guild.channels.size;
+      members += guild.members.size;
+    });
+
+    let ratelimits = bot.requestHandler.ratelimits,
+      exhausted = Object.keys(ratelimits)
+        .filter(route => ratelimits[route].remaining === 0 && ratelimits[route].reset > now)
+        .map(route => ({
+          route: route,
+          limit: ratelimits[route].limit,
+          reset: ratelimits[route].reset,
+          queued: ratelimits[route]._queue ? ratelimits[route]._queue.length : 0
+        }));
+
+    let types = {};
+
+    for (let second of this.types) {
+      for (let type of Object.keys(second)) {
+        types[type] = (types[type] || 0) + second[type];
+      }
+    }
+
+    return {
+      time: now,
+      shards: shards,
+      cache: {
+        guilds: bot.guilds.size,
+        unavailableGuilds: bot.unavailableGuilds.size,
+        users: bot.users.size,
+        channels: channels,
+        privateChannels: bot.dmChannels.size,
+        members: members
+      },
+      uptime: bot.uptime,
+      connection: this.connection.state,
+      reconnects: this.connection.history,
+      ratelimits: exhausted,
+      rates: this.rates,
+      eventTypes: Object.keys(types)
+        .map(type => ({ type: type, count: types[type] }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = Diagnostics;
@@ -0,0 +1,271 @@
+"use strict";
+
+const moment = require('moment');
+const markdown = require('./js/markdown');
+
+// messages fetched per request, the most the api allows
+const PAGE_SIZE = 100;
+
+// minimum time between requests so an export doesn't starve the rest of the client
+const PAGE_DELAY = 500;
+
+// discord's epoch, the first second of 2015
+const DISCORD_EPOCH = 1420070400000;
+
+/**
+ * Convert a time to a snowflake, ids compare by creation time
+ * Precision is lost in the low bits, which only hold worker and sequence numbers.
+ * @param  {Number} time unix time in milliseconds
+ * @return {String}      snowflake
+ */
+function timeToSnowflake(time) {
+  return String(Math.floor((time - DISCORD_EPOCH) * 4194304));
+}
+
+/**
+ * Fetches a channel's history page by page, from newest to oldest
+ */
+class ChannelExport {
+
+  /**
+   * @param  {Object}   bot     eris client
+   * @param  {String}   channel channel id
+   * @param  {Object}   options from and to times in milliseconds, both optional
+   * @param  {Function} format  formats an eris message for the export
+   */
+  constructor(bot, channel, options, format) {
+    this.bot = bot;
+    this.channel = channel;
+    this.from = options.from || null;
+    this.to = options.to || null;
+    this.format = format;
+    this.cancelled = false;
+    this.timer = null;
+    this.resume = null;
+  }
+
+  /**
+   * Fetch the messages in the date range
+   * @param  {Function} onProgress called with the state, the number of messages so far and when a rate limit resets
+   * @return {Promise}             resolves with the formatted messages, oldest first
+   */
+  run(onProgress) {
+    let messages = [],
+      before = this.to ? timeToSnowflake(this.to + 1) : undefined;
+
+    let next = first => this.wait(first, onProgress)
+      .then(() => {
+        if (this.cancelled) throw new Error('Export cancelled');
+        return this.bot.getMessages(this.channel, { limit: PAGE_SIZE, before: before });
+      })
+      .then(page => {
+        if (this.cancelled) throw new Error('Export cancelled');
+
+        let reachedStart = false;
+
+        for (let msg of page) {
+          if (this.to && msg.timestamp > this.to) continue;
+
+          if (this.from && msg.timestamp < this.from) {
+            reachedStart = true;
+            break;
+          }
+
+          messages.push(this.format(msg));
+        }
+
+        onProgress({ state: 'fetching', count: messages.length });
+
+        if (reachedStart || page.length < PAGE_SIZE) {
+          return messages.reverse();
+        }
+
+        before = page[page.length - 1].id;
+        return next(false);
+      });
+
+    return next(true);
+  }
+
+  /**
+   * Wait before the next request, until the bucket resets if its requests are used up
+   * @param  {Boolean}  first      no wait is needed before the first request
+   * @param  {Function} onProgress progress callback
+   * @return {Promise}             resolves when the next request can be made
+   */
+  wait(first, onProgress) {
+    if (this.cancelled) {
+      return Promise.reject(new Error('Export cancelled'));
+    }
+
+    let bucket = this.bot.requestHandler.ratelimits[`/channels/${this.channel}/messages`],
+      delay = first ? 0 : PAGE_DELAY;
+
+    if (bucket && bucket.remaining === 0 && bucket.reset > Date.now()) {
+      delay = Math.max(delay, bucket.reset - Date.now());
+      onProgress({ state: 'waiting', until: bucket.reset });
+    }
+
+    return new Promise(resolve => {
+      this.resume = resolve;
+      this.timer = setTimeout(resolve, delay);
+    });
+  }
+
+  /**
+   * Stop the export after the current request
+   */
+  cancel() {
+    this.cancelled = true;
+    clearTimeout(this.timer);
+
+    // let a waiting export notice it was cancelled
+    if (this.resume) this.resume();
+  }
+}
+
+/**
+ * Quote a value for csv
+ * @param  {*}      value value
+ * @return {String}       csv field
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write messages as csv, one row per message
+ * @param  {Array}  messages formatted messages
+ * @return {String}          csv
+ */
+function toCSV(messages) {
+  let rows = [['id', 'created_at', 'edited_at', 'author_id', 'author', 'content', 'attachments', 'reactions']];
+
+  for (let msg of messages) {
+    rows.push([
+      msg.id,
+      msg.createdAt,
+      msg.editedTimestamp ? moment(msg.editedTimestamp).toISOString() : '',
+      msg.author.id,
+      `${msg.author.username}#${msg.author.discriminator}`,
+      msg.content,
+      (msg.attachments || []).map(attachment => attachment.url).join(' '),
+      msg.reactions.map(reaction => `${reaction.emoji.name} ${reaction.count}`).join(' ')
+    ]);
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write messages as json, with the channel the export was made from
+ * @param  {Object} channel  channel and guild names and ids, and the date range
+ * @param  {Array}  messages formatted messages
+ * @return {String}          json
+ */
+function toJSON(channel, messages) {
+  return JSON.stringify({ channel: channel, exportedAt: new Date().toISOString(), messages: messages }, null, 2);
+}
+
+/**
+ * Escape text for an html attribute
+ * @param  {String} text text
+ * @return {String}      escaped text
+ */
+function attribute(text) {
+  return markdown.escape(String(text)).replace(/"/g, '&quot;');
+}
+
+const STYLE = `
+body { margin: 0; padding: 1em 2em; font-family: "Helvetica Neue", Helvetica, Arial, sans-serif; font-size: 15px; color: #dcddde; background-color: #36393e; }
+h1 { font-size: 1.4em; margin-bottom: 0.2em; }
+.info { color: #8e9297; font-size: 0.85em; margin-bottom: 1.5em; }
+.message { padding: 0.3em 0; border-bottom: solid 1px #2f3136; }
+.timestamp { color: #72767d; font-size: 0.8em; }
+.author { font-weight: bold; margin: 0 0.4em; }
+.content { white-space: pre-wrap; word-wrap: break-word; }
+.edited { color: #72767d; font-size: 0.75em; }
+.mention { color: #7289da; background-color: rgba(114,137,218,.1); }
+.emoji { width: 1.4em; height: 1.4em; vertical-align: bottom; }
+code, pre { font-family: Consolas, monospace; background-color: #2f3136; border-radius: 3px; }
+pre { padding: 0.5em; white-space: pre-wrap; }
+blockquote { margin: 0; padding-left: 0.6em; border-left: solid 3px #4f545c; }
+.spoiler { background-color: #202225; }
+.attachment, .embed { margin: 0.3em 0 0 1em; }
+.embed { padding: 0.4em 0.6em; border-left: solid 4px #4f545c; background-color: #2f3136; }
+.reactions { color: #8e9297; font-size: 0.85em; }
+a { color: #00b0f4; }
+`;
+
+/**
+ * Write messages as a self-contained html transcript
+ * @param  {Object} channel  channel and guild names and ids, and the date range
+ * @param  {Array}  messages formatted messages
+ * @return {String}          html
+ */
+function toHTML(channel, messages) {
+  let escape = markdown.escape,
+    title = `${channel.guild ? `${channel.guild.name} ` : ''}${channel.private ? '@' : '#'}${channel.name}`,
+    range = channel.from || channel.to ?
+      ` from ${channel.from ? moment(channel.from).format('MMM D YYYY') : 'the beginning'} to ${channel.to ? moment(channel.to).format('MMM D YYYY') : 'now'}` : '';
+
+  let rows = messages.map(msg => {
+    let color = msg.author.roles && msg.author.roles[0] ? msg.author.roles[0].color : '#fefefe',
+      attachments = (msg.attachments || []).map(attachment =>
+        `<div class="attachment"><a href="${attribute(attachment.url)}">${escape(attachment.filename)}</a></div>`).join(''),
+      embeds = (msg.embeds || []).map(embed => `<div class="embed">` +
+        (embed.title ? `<div><strong>${escape(embed.title)}</strong></div>` : '') +
+        (embed.description ? `<div>${markdown.render(embed.description, msg.mentionData)}</div>` : '') +
+        (embed.fields || []).map(field => `<div><strong>${escape(field.name)}</strong><br />${markdown.render(field.value, msg.mentionData)}</div>`).join('') +
+        `</div>`).join(''),
+      reactions = msg.reactions.length ?
+        `<div class="reactions">${msg.reactions.map(reaction => `${escape(reaction.emoji.name)} ${reaction.count}`).join(' &middot; ')}</div>` : '';
+
+    return `<div class="message" id="${msg.id}">` +
+      `<span class="timestamp">${moment(msg.createdAt).format('YYYY-MM-DD hh:mm:ss a')}</span>` +
+      `<span class="author" style="color: ${color}">${escape(msg.author.username)}#${escape(msg.author.discriminator)}</span>` +
+      `<span class="content">${markdown.render(msg.content || '', msg.mentionData)}</span>` +
+      (msg.editedAt ? ` <span class="edited" title="${attribute(msg.editedAt)}">(edited)</span>` : '') +
+      attachments + embeds + reactions +
+      `</div>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<div class="info">${messages.length} messages${range}, exported ${moment().format('MMM D YYYY hh:mm a')}</div>
+${rows.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write an export in a format
+ * @param  {String} format   json, html or csv
+ * @param  {Object} channel  channel and guild names and ids, and the date range
+ * @param  {Array}  messages formatted messages
+ * @return {String}          file contents
+ */
+function render(format, channel, messages) {
+  switch (format) {
+    case 'html':
+      return toHTML(channel, messages);
+    case 'csv':
+      return toCSV(messages);
+    default:
+      return toJSON(channel, messages);
+  }
+}
+
+module.exports = {
+  ChannelExport: ChannelExport,
+  render: render
+};
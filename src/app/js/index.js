@@ -1,51 +1,209 @@
 const _ = require('underscore');
+const fs = require('fs');
 const path = require('path');
 const electron = require('electron');
 const remote = electron.remote;
+const shell = electron.shell;
 const ipcRenderer = electron.ipcRenderer;
-
-const config = remote.app.config;
+const markdown = require('./js/markdown');
+const moment = require('moment');
 
 let main = angular.module('mainApp', ['ngSanitize', 'scrollglue']);
 
+// number of messages kept for a channel once it's no longer active
+const PAGE_SIZE = 50;
+// number of messages kept for a channel, the end that isn't in view is dropped past this
+const MAX_MESSAGES = PAGE_SIZE * 4;
+const DAY = 24 * 60 * 60 * 1000;
+
+// timeout lengths offered in the moderation dialog
+const TIMEOUTS = [
+  { label: '60 seconds', duration: 60 * 1000 },
+  { label: '5 minutes', duration: 5 * 60 * 1000 },
+  { label: '10 minutes', duration: 10 * 60 * 1000 },
+  { label: '1 hour', duration: 60 * 60 * 1000 },
+  { label: '1 day', duration: DAY },
+  { label: '1 week', duration: 7 * DAY },
+  { label: '28 days', duration: 28 * DAY }
+];
+
+// slowmode lengths offered in the channel editor, in seconds, the same steps as the official client
+const SLOWMODES = [
+  { label: 'Off', seconds: 0 },
+  { label: '5 seconds', seconds: 5 },
+  { label: '10 seconds', seconds: 10 },
+  { label: '15 seconds', seconds: 15 },
+  { label: '30 seconds', seconds: 30 },
+  { label: '1 minute', seconds: 60 },
+  { label: '2 minutes', seconds: 2 * 60 },
+  { label: '5 minutes', seconds: 5 * 60 },
+  { label: '10 minutes', seconds: 10 * 60 },
+  { label: '15 minutes', seconds: 15 * 60 },
+  { label: '30 minutes', seconds: 30 * 60 },
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '2 hours', seconds: 2 * 60 * 60 },
+  { label: '6 hours', seconds: 6 * 60 * 60 }
+];
+
 main.controller('MainController', ['$scope', MainController]);
-main.controller('TokenController', ['$scope', TokenController]);
+main.controller('ProfileController', ['$scope', ProfileController]);
+main.controller('PassphraseController', ['$scope', PassphraseController]);
+main.controller('EmbedController', ['$scope', EmbedController]);
+main.controller('DiagnosticsController', ['$scope', DiagnosticsController]);
+main.controller('PluginsController', ['$scope', PluginsController]);
+main.filter('hexColor', hexColor);
+main.filter('fileSize', fileSize);
+main.filter('duration', duration);
+main.directive('fileDrop', ['$parse', fileDrop]);
+main.directive('scrollTop', ['$parse', scrollTop]);
+main.directive('autoFocus', ['$timeout', autoFocus]);
+main.directive('contextMenu', ['$parse', contextMenu]);
 
 function MainController($scope) {
   $scope.title = "Discord Bot Client";
   $scope.servers = {};
+  $scope.privateChannels = {};
+  $scope.recipientId = "";
+  $scope.privateChannelError = null;
   $scope.message = "";
   $scope.messages = {};
+  $scope.history = {};
   $scope.activeServer = null;
   $scope.activeChannel = null;
   $scope.activateServer = activateServer;
   $scope.activateChannel = activateChannel;
+  $scope.activatePrivateChannel = activatePrivateChannel;
+  $scope.openPrivateChannel = openPrivateChannel;
   $scope.sendMessage = sendMessage;
+  $scope.loadOlderMessages = loadOlderMessages;
   $scope.keyup = keyup;
+  $scope.keydown = keydown;
+  $scope.suggestions = { items: [], index: 0 };
+  $scope.commands = [];
+  $scope.commandHelp = commandHelp;
+  $scope.moderation = null;
+  $scope.moderationLog = { open: false, entries: [] };
+  $scope.timeouts = TIMEOUTS;
+  $scope.openModerationMenu = openModerationMenu;
+  $scope.confirmModeration = confirmModeration;
+  $scope.serverSettings = null;
+  $scope.roleEditor = null;
+  $scope.openServerSettings = openServerSettings;
+  $scope.selectRole = selectRole;
+  $scope.saveRole = saveRole;
+  $scope.createRole = createRole;
+  $scope.moveRole = moveRole;
+  $scope.canGrant = canGrant;
+  $scope.searchRoleMembers = searchRoleMembers;
+  $scope.toggleMemberRole = toggleMemberRole;
+  $scope.channelEditor = null;
+  $scope.slowmodes = SLOWMODES;
+  $scope.selectChannel = selectChannel;
+  $scope.saveChannel = saveChannel;
+  $scope.createChannel = createChannel;
+  $scope.moveChannel = moveChannel;
+  $scope.deleteChannel = deleteChannel;
+  $scope.selectOverwrite = selectOverwrite;
+  $scope.addOverwrite = addOverwrite;
+  $scope.saveOverwrite = saveOverwrite;
+  $scope.removeOverwrite = removeOverwrite;
+  $scope.canOverwrite = canOverwrite;
+  $scope.searchOverwriteMembers = searchOverwriteMembers;
+  $scope.unread = {};
+  $scope.serverUnread = serverUnread;
+  $scope.markRead = markRead;
+  $scope.markServerRead = markServerRead;
+  $scope.notifications = { dnd: false, keywords: [], servers: {}, channels: {} };
+  $scope.notificationKeywords = '';
+  $scope.showNotificationSettings = false;
+  $scope.setNotificationRule = setNotificationRule;
+  $scope.saveNotificationKeywords = saveNotificationKeywords;
+  $scope.setDoNotDisturb = setDoNotDisturb;
+  $scope.search = { open: false, id: 0, query: {}, results: [], loading: false, error: null };
+  $scope.archive = { enabled: false, retentionDays: 0 };
+  $scope.highlightedMessage = null;
+  $scope.toggleSearch = toggleSearch;
+  $scope.searchArchive = searchArchive;
+  $scope.searchChannels = searchChannels;
+  $scope.jumpToResult = jumpToResult;
+  $scope.jumpToPresent = jumpToPresent;
+  $scope.saveArchiveSettings = saveArchiveSettings;
+  $scope.connection = { state: 'connecting' };
+  $scope.shards = [];
+  $scope.shardsReady = () => _.filter($scope.shards, shard => shard.ready).length;
+  $scope.reconnectNow = () => ipcRenderer.send('reconnectNow');
+  $scope.channelExport = null;
+  $scope.openExport = openExport;
+  $scope.startExport = startExport;
+  $scope.cancelExport = cancelExport;
+  $scope.showExport = path => shell.showItemInFolder(path);
+  $scope.complete = complete;
   $scope.typing = false;
+  $scope.showDeleted = localStorage.getItem('showDeleted') === 'true';
+  $scope.collapsedCategories = JSON.parse(localStorage.getItem('collapsedCategories') || '{}');
+  $scope.toggleCategory = toggleCategory;
+  $scope.channelPrefix = channelPrefix;
+  $scope.crosspostMessage = crosspostMessage;
+  $scope.toggleDeleted = toggleDeleted;
+  $scope.editMessage = editMessage;
+  $scope.editKeyup = editKeyup;
+  $scope.deleteMessage = deleteMessage;
+  $scope.commandError = null;
+  $scope.toggleReaction = toggleReaction;
+  $scope.reactKeyup = reactKeyup;
+  $scope.upload = { files: [], caption: '' };
+  $scope.uploads = {};
+  $scope.chooseFiles = chooseFiles;
+  $scope.addFiles = addFiles;
+  $scope.removeFile = removeFile;
+  $scope.sendFiles = sendFiles;
+  $scope.paste = paste;
+  $scope.dismissUpload = upload => delete $scope.uploads[upload.id];
   
+  // set when tab or enter picks a suggestion in keydown, completing replaces $scope.suggestions
+  let suggestionCompleted = false;
+
   /**
    * Handle keyboard events
    * @param  {Object} $event key event
    */
   function keyup($event) {
     let ignored = [9,16,17,18,19,20,20,27,33,34,35,36,37,38,39,40,45,46,91,92,93];
-    
+
+    // the key completed a suggestion in keydown, don't send the message too
+    if (suggestionCompleted) {
+      suggestionCompleted = false;
+      return;
+    }
+
+    // up arrow in an empty composer edits the last message we sent
+    if ($event.keyCode === 38 && !$scope.message && !$scope.suggestions.items.length) {
+      let last = _.findLastIndex($scope.messages[$scope.activeChannel.id] || [], msg => msg.self && !msg.deleted);
+      if (last !== -1) {
+        editMessage($scope.messages[$scope.activeChannel.id][last]);
+      }
+      return;
+    }
+
     if (ignored.indexOf($event.keyCode) !== -1) {
       return;
     }
     
     // careful here...
     if ($scope.message === null || $scope.message.length === 0) {
+      closeSuggestions();
       typing('stop');
       return;
     }
     
     if ($event.keyCode === 13) {
+      closeSuggestions();
       typing('stop');
       sendMessage();
       return;
     }
+
+    updateSuggestions($event.target);
     
     // careful here..
     if (!$scope.typing) {
@@ -58,6 +216,176 @@ function MainController($scope) {
     }
   }
   
+  /**
+   * Handle keyboard navigation of autocomplete suggestions
+   * This runs on keydown so tab and enter can be stopped before they move focus or send
+   * @param  {Object} $event key event
+   */
+  function keydown($event) {
+    let suggestions = $scope.suggestions;
+
+    if (!suggestions.items.length) {
+      return;
+    }
+
+    switch ($event.keyCode) {
+      // up
+      case 38:
+        suggestions.index = (suggestions.index + suggestions.items.length - 1) % suggestions.items.length;
+        break;
+      // down
+      case 40:
+        suggestions.index = (suggestions.index + 1) % suggestions.items.length;
+        break;
+      // tab, enter
+      case 9:
+      case 13:
+        complete(suggestions.items[suggestions.index]);
+        suggestionCompleted = true;
+        break;
+      // escape
+      case 27:
+        closeSuggestions();
+        break;
+      default:
+        return;
+    }
+
+    $event.preventDefault();
+  }
+
+  /**
+   * Ask for suggestions when the text before the caret is an @, # or : followed by a name,
+   * or a / at the start of the message
+   * @param  {Object} input composer input element
+   */
+  function updateSuggestions(input) {
+    let before = $scope.message.slice(0, input.selectionStart),
+      match = /^(\/)([\w-]*)$/.exec(before) || /(?:^|\s)([@#:])([^\s@#:]*)$/.exec(before);
+
+    // emoji need two characters like the official client, so times like 12:30 don't trigger it
+    if (!match || (match[1] === ':' && match[2].length < 2)) {
+      closeSuggestions();
+      return;
+    }
+
+    let suggestions = $scope.suggestions;
+
+    suggestions.id = Date.now().toString();
+    suggestions.trigger = match[1];
+    suggestions.query = match[2];
+    suggestions.start = before.length - match[2].length - 1;
+
+    ipcRenderer.send('autocomplete', {
+      id: suggestions.id,
+      channel: $scope.activeChannel.id,
+      trigger: suggestions.trigger,
+      query: suggestions.query
+    });
+  }
+
+  function closeSuggestions() {
+    $scope.suggestions = { items: [], index: 0 };
+  }
+
+  /**
+   * Replace the trigger and query with the wire format of a suggestion
+   * @param  {Object} item suggestion
+   */
+  function complete(item) {
+    let suggestions = $scope.suggestions,
+      input = $('.send-message')[0],
+      end = suggestions.start + 1 + suggestions.query.length,
+      caret = suggestions.start + item.insert.length + 1;
+
+    $scope.message = $scope.message.slice(0, suggestions.start) + item.insert + ' ' + $scope.message.slice(end);
+    closeSuggestions();
+
+    // move the caret after the inserted text once the input is updated
+    setTimeout(() => {
+      input.focus();
+      input.setSelectionRange(caret, caret);
+    });
+  }
+
+  /**
+   * Find the command being typed in the composer, for the inline help
+   * @return {Object} command name, usage and description, null if there isn't one
+   */
+  function commandHelp() {
+    let match = /^\/([\w-]+)/.exec($scope.message || '');
+    return match ? _.find($scope.commands, command => command.name === match[1].toLowerCase()) || null : null;
+  }
+
+  /**
+   * Additional message formatting for display
+   * @param  {Object} msg message object
+   * @return {Object}     the formatted message
+   */
+  function prepareMessage(msg) {
+    // render markdown, content is escaped before formatting
+    msg.cleanContent = markdown.render(msg.content.replace(/\r\n?/g, '\n'), msg.mentionData);
+    // set role color
+    msg.author.color = msg.author.roles && msg.author.roles[0] ?
+      msg.author.roles[0].color : '#efefef';
+    // a plugin asked for the message to stand out
+    msg.decorated = _.some(msg.decorations, decoration => decoration.highlight);
+
+    return msg;
+  }
+
+  /**
+   * Merge messages into a channel's message list, dropping duplicates
+   * @param  {Array} messages messages already in the client
+   * @param  {Array} incoming messages to merge in
+   * @return {Array}          merged messages, oldest first
+   */
+  function mergeMessages(messages, incoming) {
+    let ids = {};
+
+    for (let msg of messages) {
+      ids[msg.id] = true;
+    }
+
+    incoming = incoming.filter(msg => !ids[msg.id]);
+
+    // snowflakes sort by creation time, pad them so they compare as strings,
+    // system messages go after the message that was last when they were added
+    return _.sortBy(messages.concat(incoming), msg => msg.system ?
+      `${('00000000000000000000' + (msg.after || '')).slice(-20)}.${msg.id}` :
+      ('00000000000000000000' + msg.id).slice(-20));
+  }
+
+  // system messages are numbered so they keep the order they were added in
+  let systemMessages = 0;
+
+  /**
+   * Add a client-only message, used for the results of slash commands
+   * @param {Object} event   ipc event
+   * @param {Object} message channel, content and whether it's an error
+   */
+  function addSystemMessage(event, message) {
+    let messages = $scope.messages[message.channel] || [],
+      last = _.findLastIndex(messages, msg => !msg.system);
+
+    systemMessages++;
+
+    $scope.messages[message.channel] = mergeMessages(messages, [prepareMessage({
+      id: `system-${('000000' + systemMessages).slice(-6)}`,
+      system: true,
+      error: !!message.error,
+      after: last !== -1 ? messages[last].id : null,
+      channel: message.channel,
+      content: message.content,
+      timestamp: moment().format('hh:mm:ss a'),
+      author: { username: 'Client' },
+      mentionData: {},
+      reactions: []
+    })]);
+
+    $scope.$apply();
+  }
+
   /**
    * Add a message to the client
    * @param {Object} event   ipc event
@@ -68,122 +396,2168 @@ function MainController($scope) {
       $scope.messages[message.channel] = [];
     }
 
-    // used when adding messages in bulk
-    if (message instanceof Array) {
-      let sample = _.sample(message),
-        messages = $scope.messages[sample.channel] || [];
+    $scope.messages[message.channel] = mergeMessages($scope.messages[message.channel], [prepareMessage(message)]);
+    trimMessages(message.channel);
 
-      // additional message formatting
-      message = message.map(msg => {
-        // newline to break tag
-        msg.cleanContent = msg.content.replace(/(?:\r\n|\r|\n)/g, '<br />');
-        // set role color
-        msg.author.color = msg.author.roles && msg.author.roles[0] ?
-          msg.author.roles[0].color : '#efefef';
+    $scope.$apply();
+  }
 
-        return msg;
-      });
+  /**
+   * Keep a channel to MAX_MESSAGES by dropping the end that isn't in view. When the active
+   * channel is scrolled back the newest messages go and come back with jump to present,
+   * otherwise the oldest go and can be paged in again.
+   * @param {String} channelId channel id
+   */
+  function trimMessages(channelId) {
+    let messages = $scope.messages[channelId],
+      history = getHistory(channelId),
+      el = $('.messages')[0];
+
+    if (!messages || messages.length <= MAX_MESSAGES) {
+      return;
+    }
 
-      messages = message.concat(messages);
+    let active = $scope.activeChannel && $scope.activeChannel.id === channelId,
+      scrolledBack = history.jumped || active && el && el.scrollTop + el.clientHeight < el.scrollHeight - 1;
 
-      $scope.messages[sample.channel] = messages;
-      $scope.$apply();
+    if (scrolledBack) {
+      $scope.messages[channelId] = messages.slice(0, MAX_MESSAGES);
+      history.jumped = true;
+    } else {
+      $scope.messages[channelId] = messages.slice(-MAX_MESSAGES);
+      history.complete = false;
+    }
+  }
+
+  /**
+   * Replace an edited message in the client
+   * @param {Object} event   ipc event
+   * @param {Object} message message object
+   */
+  function updateMessage(event, message) {
+    let messages = $scope.messages[message.channel] || [],
+      index = _.findIndex(messages, msg => msg.id === message.id);
 
+    // we don't have this message loaded
+    if (index === -1) {
       return;
     }
 
-    message.cleanContent = message.content.replace(/(?:\r\n|\r|\n)/g, '<br />');
+    messages[index] = prepareMessage(message);
+    $scope.$apply();
+  }
 
-    // set role color
-    message.author.color = message.author.roles && message.author.roles[0] ?
-      message.author.roles[0].color : '#efefef';
+  /**
+   * Mark deleted messages in the client
+   * @param {Object} event ipc event
+   * @param {Object} data  channel id and the ids of the deleted messages
+   */
+  function deleteMessages(event, data) {
+    let messages = $scope.messages[data.channel] || [];
+
+    for (let msg of messages) {
+      if (data.ids.indexOf(msg.id) !== -1) {
+        msg.deleted = true;
+      }
+    }
 
-    $scope.messages[message.channel].push(message);
+    $scope.$apply();
+  }
+
+  /**
+   * Find a loaded message
+   * @param  {String} channelId channel id
+   * @param  {String} id        message id
+   * @return {Object}           the message, undefined if it isn't loaded
+   */
+  function findMessage(channelId, id) {
+    return _.find($scope.messages[channelId] || [], msg => msg.id === id);
+  }
+
+  /**
+   * Count a reaction on a loaded message
+   * @param {Object} event ipc event
+   * @param {Object} data  channel and message ids, the emoji and whether the bot reacted
+   */
+  function addReaction(event, data) {
+    let message = findMessage(data.channel, data.message);
+
+    if (!message) {
+      return;
+    }
 
-    // only keep 100 messages
-    if ($scope.messages[message.channel].length > 100) {
-      $scope.messages[message.channel] = $scope.messages[message.channel].slice(-100);
+    let reaction = _.find(message.reactions, r => r.emoji.key === data.emoji.key);
+
+    if (!reaction) {
+      reaction = { emoji: data.emoji, count: 0, me: false };
+      message.reactions.push(reaction);
     }
 
+    reaction.count++;
+    reaction.me = reaction.me || data.self;
+
     $scope.$apply();
   }
-  
+
   /**
-   * Send a message
+   * Uncount a reaction on a loaded message
+   * @param {Object} event ipc event
+   * @param {Object} data  channel and message ids, the emoji and whether it was the bot's reaction
    */
-  function sendMessage() {
-    ipcRenderer.send($scope.activeChannel.id, {
-      type: 'message',
-      message: $scope.message
+  function removeReaction(event, data) {
+    let message = findMessage(data.channel, data.message),
+      reaction = message ? _.find(message.reactions, r => r.emoji.key === data.emoji.key) : null;
+
+    if (!reaction) {
+      return;
+    }
+
+    reaction.count--;
+    reaction.me = reaction.me && !data.self;
+
+    if (reaction.count <= 0) {
+      message.reactions = _.without(message.reactions, reaction);
+    }
+
+    $scope.$apply();
+  }
+
+  /**
+   * Remove all reactions, or all reactions for an emoji, from a loaded message
+   * @param {Object} event ipc event
+   * @param {Object} data  channel and message ids, and the emoji if only one was cleared
+   */
+  function clearReactions(event, data) {
+    let message = findMessage(data.channel, data.message);
+
+    if (!message) {
+      return;
+    }
+
+    message.reactions = data.emoji ?
+      message.reactions.filter(r => r.emoji.key !== data.emoji.key) : [];
+
+    $scope.$apply();
+  }
+
+  /**
+   * Add or remove the bot's reaction
+   * @param  {Object} message  message object
+   * @param  {Object} reaction reaction object
+   */
+  function toggleReaction(message, reaction) {
+    ipcRenderer.send(message.channel, {
+      type: reaction.me ? 'unreact' : 'react',
+      id: message.id,
+      reaction: reaction.emoji.key
     });
-    
-    $scope.message = "";
   }
-  
+
   /**
-   * Send the typing indicator
-   * Caution: if this goes bad and results in excess typing calls to the api,
-   *   it could result in an IP ban. Don't mess this up.
-   * 
-   * @param  {String} action start/stop
+   * Handle keyboard events in the add reaction input
+   * Accepts a unicode emoji, name:id or a <:name:id> custom emoji
+   * @param  {Object} $event  key event
+   * @param  {Object} message message object
    */
-  function typing(action) {
-    $scope.typing = (action === 'start') ? true : false;
-    
-    ipcRenderer.send($scope.activeChannel.id, {
-      type: 'typing',
-      action: action,
-      channel: $scope.activeChannel
+  function reactKeyup($event, message) {
+    if ($event.keyCode === 27) {
+      message.reacting = false;
+      return;
+    }
+
+    if ($event.keyCode !== 13) {
+      return;
+    }
+
+    let reaction = (message.reaction || '').trim().replace(/^<a?:|>$/g, '');
+
+    message.reacting = false;
+    message.reaction = '';
+
+    if (!reaction) {
+      return;
+    }
+
+    ipcRenderer.send(message.channel, {
+      type: 'react',
+      id: message.id,
+      reaction: reaction
     });
   }
-  
-  function activateServer(serverId) {
-    server = $scope.servers[serverId];
-    $scope.activeServer = server;
-    // $scope.$apply();
+
+  /**
+   * Pick files to send with the file dialog
+   */
+  function chooseFiles() {
+    let options = { properties: ['openFile', 'multiSelections'] };
+
+    remote.dialog.showOpenDialog(remote.getCurrentWindow(), options, filenames => {
+      if (!filenames) return;
+
+      addFiles(filenames.map(filename => ({
+        name: path.basename(filename),
+        path: filename,
+        size: fs.statSync(filename).size
+      })));
+      $scope.$apply();
+    });
   }
-  
-  function deactivateServer() {
-    $scope.activeServer = null;
-    // $scope.$apply();
+
+  /**
+   * Add files to send to the active channel
+   * @param {Array} files file name, size and a path or base64 data
+   */
+  function addFiles(files) {
+    if (!$scope.activeChannel) {
+      return;
+    }
+
+    $scope.upload.files = $scope.upload.files.concat(files);
   }
-  
-  function activateChannel(channel) {
-    ipcRenderer.send('activateChannel', channel);
-    
-    $scope.message = "";
-    $scope.activeChannel = channel;
+
+  function removeFile(index) {
+    $scope.upload.files.splice(index, 1);
   }
-  
-  ipcRenderer.on('server-create', function (event, server) {
-    $scope.servers[server.id] = server;
 
-    // sort channels by position
-    server.channels = _.sortBy(server.channels, ch => ch.position);
+  /**
+   * Send the files waiting to be uploaded with their caption
+   */
+  function sendFiles() {
+    let id = Date.now().toString();
 
-    for (let channel of server.channels) {
-      ipcRenderer.on(channel.id, addMessage);
+    $scope.uploads[id] = {
+      channel: $scope.activeChannel.id,
+      id: id,
+      state: 'reading',
+      loaded: 0,
+      total: $scope.upload.files.length,
+      names: _.pluck($scope.upload.files, 'name').join(', ')
+    };
+
+    ipcRenderer.send($scope.activeChannel.id, {
+      type: 'upload',
+      id: id,
+      caption: $scope.upload.caption,
+      files: $scope.upload.files.map(file => _.pick(file, 'name', 'path', 'data'))
+    });
+
+    $scope.upload = { files: [], caption: '' };
+  }
+
+  /**
+   * Handle pasting into the composer, images are added as files to send
+   * @param  {Object} $event paste event
+   */
+  function paste($event) {
+    let clipboard = ($event.originalEvent || $event).clipboardData,
+      items = clipboard ? Array.from(clipboard.items) : [];
+
+    items.filter(item => item.kind === 'file' && /^image\//.test(item.type)).forEach(item => {
+      let file = item.getAsFile(),
+        reader = new FileReader();
+
+      $event.preventDefault();
+
+      reader.onload = () => {
+        addFiles([{
+          name: `pasted-${Date.now()}.${item.type.split('/')[1]}`,
+          // strip the data url prefix
+          data: reader.result.split(',')[1],
+          size: file.size
+        }]);
+        $scope.$apply();
+      };
+
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Update the state of an upload
+   * @param {Object} event    ipc event
+   * @param {Object} progress upload id, state, number of files read and the size being sent
+   */
+  function uploadProgress(event, progress) {
+    let upload = $scope.uploads[progress.id];
+
+    if (!upload) {
+      return;
     }
-    
-    $scope.$apply();
-  });
-  
-  ipcRenderer.on('server-update', function (event, server) {
-     $scope.servers[server.id] = server;
-     $scope.$apply();
-  });
-  
-  ipcRenderer.on('server-delete', function (event, server) {
-    delete $scope.servers[server.id];
+
+    _.extend(upload, progress);
+
+    // finished uploads are cleared, failed ones stay until dismissed
+    if (progress.state === 'done') {
+      delete $scope.uploads[progress.id];
+    }
+
     $scope.$apply();
-  });
-}
+  }
 
-function TokenController($scope) {
-  $scope.token = config.token || "";
-  $scope.saveToken = saveToken;
-  
-  function saveToken() {
-    ipcRenderer.send('token', $scope.token);
+  /**
+   * Toggle showing deleted messages greyed out instead of hiding them
+   */
+  function toggleDeleted() {
+    $scope.showDeleted = !$scope.showDeleted;
+    localStorage.setItem('showDeleted', $scope.showDeleted);
   }
+
+  /**
+   * Add a page of channel history to the client
+   * @param {Object} event ipc event
+   * @param {Object} page  channel id, messages and whether the beginning of the channel was reached
+   */
+  function addHistory(event, page) {
+    let history = getHistory(page.channel),
+      messages = $scope.messages[page.channel] || [],
+      el = $('.messages')[0],
+      height = el.scrollHeight;
+
+    history.loading = false;
+
+    if (page.error) {
+      $scope.$apply();
+      return;
+    }
+
+    // a short page means we've reached the beginning of the channel
+    if (page.complete) {
+      history.complete = true;
+    }
+
+    // a page around an older message replaces what we have, newer messages are loaded again when jumping back
+    if (page.around) {
+      history.jumped = true;
+      $scope.messages[page.channel] = page.messages.map(prepareMessage);
+      $scope.$apply();
+
+      let target = $(`.messages .message[data-id="${page.around}"]`)[0];
+      if (target) target.scrollIntoView();
+      return;
+    }
+
+    $scope.messages[page.channel] = mergeMessages(messages, page.messages.map(prepareMessage));
+    $scope.$apply();
+
+    // keep the same messages in view when older messages are added above them
+    if (page.before && $scope.activeChannel && $scope.activeChannel.id === page.channel) {
+      el.scrollTop += el.scrollHeight - height;
+    }
+
+    // trimmed after scrolling so dropping messages below doesn't move the view
+    if ($scope.messages[page.channel].length > MAX_MESSAGES) {
+      trimMessages(page.channel);
+      $scope.$apply();
+    }
+  }
+
+  /**
+   * Get the history paging state for a channel
+   * @param  {String} channelId channel id
+   * @return {Object}           paging state
+   */
+  function getHistory(channelId) {
+    if (!$scope.history[channelId]) {
+      $scope.history[channelId] = { loading: false, complete: false };
+    }
+
+    return $scope.history[channelId];
+  }
+
+  /**
+   * Request the page of history before the oldest message in the active channel
+   */
+  function loadOlderMessages() {
+    let channel = $scope.activeChannel,
+      messages = channel ? ($scope.messages[channel.id] || []).filter(msg => !msg.system) : [];
+
+    if (!messages.length) {
+      return;
+    }
+
+    let history = getHistory(channel.id);
+
+    if (history.loading || history.complete) {
+      return;
+    }
+
+    history.loading = true;
+    ipcRenderer.send('loadMessages', channel, messages[0].id);
+  }
+
+  /**
+   * Ask the main process for the moderation menu of a message's author
+   * @param  {Object} message message object
+   */
+  function openModerationMenu(message) {
+    if (message.system || !$scope.activeChannel || $scope.activeChannel.private) {
+      return;
+    }
+
+    ipcRenderer.send('moderationMenu', {
+      channel: message.channel,
+      user: {
+        id: message.author.id,
+        username: message.author.username,
+        discriminator: message.author.discriminator
+      }
+    });
+  }
+
+  /**
+   * Take the moderation action in the confirmation dialog
+   */
+  function confirmModeration() {
+    let moderation = $scope.moderation;
+
+    moderation.working = true;
+    moderation.error = null;
+
+    ipcRenderer.send('moderate', {
+      id: moderation.id,
+      action: moderation.action,
+      channel: moderation.channel,
+      user: moderation.user,
+      reason: moderation.reason,
+      deleteDays: moderation.deleteDays,
+      duration: moderation.duration,
+      count: moderation.count
+    });
+  }
+
+  /**
+   * Open the settings of a server
+   * @param  {Object} server server object
+   */
+  function openServerSettings(server) {
+    $scope.serverSettings = { id: server.id, name: server.name, tab: 'roles' };
+    $scope.roleEditor = { data: null, selected: null, draft: null, error: null, working: false, memberQuery: '', members: [] };
+    $scope.channelEditor = {
+      data: null,
+      selected: null,
+      draft: null,
+      overwrite: null,
+      error: null,
+      working: false,
+      newType: 0,
+      newRole: null,
+      memberQuery: '',
+      members: []
+    };
+
+    ipcRenderer.send('roleEditor', server.id);
+    ipcRenderer.send('channelEditor', server.id);
+  }
+
+  /**
+   * Start editing a role
+   * @param  {Object} role role from the role editor
+   */
+  function selectRole(role) {
+    let editor = $scope.roleEditor;
+
+    editor.selected = role.id;
+    editor.error = null;
+    editor.draft = roleDraft(role);
+
+    searchRoleMembers();
+  }
+
+  /**
+   * Copy a role into an editable draft
+   * @param  {Object} role role from the role editor
+   * @return {Object}      draft, with the role it was made from
+   */
+  function roleDraft(role) {
+    let permissions = {};
+
+    for (let name of role.permissions) {
+      permissions[name] = true;
+    }
+
+    return {
+      name: role.name,
+      color: role.color,
+      hoist: role.hoist,
+      mentionable: role.mentionable,
+      permissions: permissions,
+      original: role
+    };
+  }
+
+  /**
+   * Check if a draft has changes that haven't been saved
+   * @param  {Object}  draft role draft
+   * @return {Boolean}
+   */
+  function isDirty(draft) {
+    let role = draft.original,
+      permissions = Object.keys(draft.permissions).filter(name => draft.permissions[name]).sort();
+
+    return draft.name !== role.name || draft.color !== role.color || draft.hoist !== role.hoist ||
+      draft.mentionable !== role.mentionable || permissions.join() !== role.permissions.slice().sort().join();
+  }
+
+  /**
+   * Ask the main process to change roles
+   * @param  {Object} request action and its options
+   */
+  function updateRoles(request) {
+    let editor = $scope.roleEditor;
+
+    editor.working = true;
+    editor.error = null;
+    editor.requestId = Date.now().toString();
+
+    ipcRenderer.send('editRoles', Object.assign({ id: editor.requestId, guild: $scope.serverSettings.id }, request));
+  }
+
+  function saveRole() {
+    let draft = $scope.roleEditor.draft;
+
+    updateRoles({
+      action: 'edit',
+      role: draft.original.id,
+      changes: {
+        name: draft.name,
+        color: draft.color,
+        hoist: draft.hoist,
+        mentionable: draft.mentionable,
+        permissions: Object.keys(draft.permissions).filter(name => draft.permissions[name])
+      }
+    });
+  }
+
+  function createRole() {
+    updateRoles({ action: 'create' });
+  }
+
+  /**
+   * Move a role up or down the hierarchy
+   * @param  {Object} role      role from the role editor
+   * @param  {String} direction up or down
+   * @param  {Object} $event    click event
+   */
+  function moveRole(role, direction, $event) {
+    $event.stopPropagation();
+    updateRoles({ action: 'move', role: role.id, direction: direction });
+  }
+
+  /**
+   * Check if a permission checkbox can be changed, the bot can remove any permission but only grant its own
+   * @param  {String}  name permission name
+   * @return {Boolean}
+   */
+  function canGrant(name) {
+    let editor = $scope.roleEditor;
+    return editor.data.grantable.indexOf(name) !== -1 || editor.draft.original.permissions.indexOf(name) !== -1;
+  }
+
+  function searchRoleMembers() {
+    let editor = $scope.roleEditor;
+
+    if (!editor.selected || !editor.memberQuery) {
+      editor.members = [];
+      return;
+    }
+
+    editor.memberSearchId = Date.now().toString();
+
+    ipcRenderer.send('searchMembers', {
+      id: editor.memberSearchId,
+      guild: $scope.serverSettings.id,
+      query: editor.memberQuery,
+      role: editor.selected
+    });
+  }
+
+  /**
+   * Give a member the selected role, or take it away
+   * @param  {Object} member member from the member search
+   */
+  function toggleMemberRole(member) {
+    updateRoles({ action: 'assign', role: $scope.roleEditor.selected, member: member.id, add: !member.hasRole });
+  }
+
+  /**
+   * Start editing a channel
+   * @param  {Object} channel channel from the channel editor
+   */
+  function selectChannel(channel) {
+    let editor = $scope.channelEditor;
+
+    editor.selected = channel.id;
+    editor.error = null;
+    editor.draft = channelDraft(channel);
+    editor.overwrite = null;
+  }
+
+  /**
+   * Copy a channel into an editable draft
+   * @param  {Object} channel channel from the channel editor
+   * @return {Object}         draft, with the channel it was made from
+   */
+  function channelDraft(channel) {
+    return {
+      name: channel.name,
+      topic: channel.topic,
+      nsfw: channel.nsfw,
+      rateLimitPerUser: channel.rateLimitPerUser,
+      parentID: channel.parentID,
+      original: channel
+    };
+  }
+
+  /**
+   * Check if a channel draft has changes that haven't been saved
+   * @param  {Object}  draft channel draft
+   * @return {Boolean}
+   */
+  function isChannelDirty(draft) {
+    let channel = draft.original;
+
+    return draft.name !== channel.name || draft.topic !== channel.topic || draft.nsfw !== channel.nsfw ||
+      draft.rateLimitPerUser !== channel.rateLimitPerUser || draft.parentID !== channel.parentID;
+  }
+
+  /**
+   * Ask the main process to change channels
+   * @param  {Object} request action and its options
+   */
+  function updateChannels(request) {
+    let editor = $scope.channelEditor;
+
+    editor.working = true;
+    editor.error = null;
+    editor.requestId = Date.now().toString();
+
+    ipcRenderer.send('editChannels', Object.assign({ id: editor.requestId, guild: $scope.serverSettings.id }, request));
+  }
+
+  function saveChannel() {
+    let draft = $scope.channelEditor.draft;
+
+    // categories only have a name
+    updateChannels({
+      action: 'edit',
+      channel: draft.original.id,
+      changes: draft.original.type === 4 ? { name: draft.name } : {
+        name: draft.name,
+        topic: draft.original.textable ? draft.topic : undefined,
+        nsfw: draft.nsfw,
+        rateLimitPerUser: draft.rateLimitPerUser,
+        parentID: draft.parentID
+      }
+    });
+  }
+
+  /**
+   * Create a channel of the chosen type, in the category of the selected channel
+   */
+  function createChannel() {
+    let editor = $scope.channelEditor,
+      selected = editor.draft && editor.draft.original,
+      category = selected ? (selected.type === 4 ? selected.id : selected.parentID) : null;
+
+    updateChannels({ action: 'create', changes: { type: editor.newType, parentID: editor.newType === 4 ? undefined : category || undefined } });
+  }
+
+  /**
+   * Move a channel up or down the list
+   * @param  {Object} channel   channel from the channel editor
+   * @param  {String} direction up or down
+   * @param  {Object} $event    click event
+   */
+  function moveChannel(channel, direction, $event) {
+    $event.stopPropagation();
+    updateChannels({ action: 'move', channel: channel.id, direction: direction });
+  }
+
+  function deleteChannel() {
+    let channel = $scope.channelEditor.draft.original;
+
+    if (!confirm(`Delete the ${channel.typeName.toLowerCase()} channel "${channel.name}"? It can't be recovered.`)) {
+      return;
+    }
+
+    updateChannels({ action: 'delete', channel: channel.id });
+  }
+
+  /**
+   * Start editing a permission overwrite of the selected channel
+   * @param  {Object} overwrite overwrite from the channel editor
+   */
+  function selectOverwrite(overwrite) {
+    $scope.channelEditor.overwrite = overwriteDraft(overwrite);
+  }
+
+  /**
+   * Copy an overwrite into an editable draft of allow, deny or neutral per permission
+   * @param  {Object} overwrite overwrite from the channel editor
+   * @return {Object}           draft, with the overwrite it was made from
+   */
+  function overwriteDraft(overwrite) {
+    let values = {};
+
+    for (let permission of $scope.channelEditor.data.permissions) {
+      values[permission.name] = overwrite.allow.indexOf(permission.name) !== -1 ? 'allow' :
+        overwrite.deny.indexOf(permission.name) !== -1 ? 'deny' : 'neutral';
+    }
+
+    return { id: overwrite.id, type: overwrite.type, name: overwrite.name, values: values, original: overwrite };
+  }
+
+  /**
+   * Check if an overwrite draft has changes that haven't been saved
+   * @param  {Object}  draft overwrite draft
+   * @return {Boolean}
+   */
+  function isOverwriteDirty(draft) {
+    return !_.isEqual(draft.values, overwriteDraft(draft.original).values);
+  }
+
+  /**
+   * Start a new overwrite for a role or member, or edit the existing one
+   * @param  {String} type   role or member
+   * @param  {Object} target role or member to add an overwrite for
+   */
+  function addOverwrite(type, target) {
+    let editor = $scope.channelEditor,
+      existing = _.findWhere(editor.draft.original.overwrites, { id: target.id });
+
+    editor.newRole = null;
+    editor.memberQuery = '';
+    editor.members = [];
+
+    selectOverwrite(existing || {
+      id: target.id,
+      type: type,
+      name: type === 'role' ? target.name : `${target.username}#${target.discriminator}`,
+      allow: [],
+      deny: []
+    });
+  }
+
+  function saveOverwrite() {
+    let editor = $scope.channelEditor,
+      draft = editor.overwrite,
+      names = Object.keys(draft.values);
+
+    updateChannels({
+      action: 'overwrite',
+      channel: editor.selected,
+      target: { id: draft.id, type: draft.type },
+      allow: names.filter(name => draft.values[name] === 'allow'),
+      deny: names.filter(name => draft.values[name] === 'deny')
+    });
+  }
+
+  function removeOverwrite() {
+    let editor = $scope.channelEditor;
+    updateChannels({ action: 'removeOverwrite', channel: editor.selected, target: { id: editor.overwrite.id } });
+  }
+
+  /**
+   * Check if an overwrite permission can be changed, the bot can only change permissions it has in the channel
+   * @param  {String}  name permission name
+   * @return {Boolean}
+   */
+  function canOverwrite(name) {
+    let editor = $scope.channelEditor;
+    return editor.draft.original.grantable.indexOf(name) !== -1;
+  }
+
+  function searchOverwriteMembers() {
+    let editor = $scope.channelEditor;
+
+    if (!editor.memberQuery) {
+      editor.members = [];
+      return;
+    }
+
+    editor.memberSearchId = Date.now().toString();
+
+    ipcRenderer.send('searchMembers', {
+      id: editor.memberSearchId,
+      guild: $scope.serverSettings.id,
+      query: editor.memberQuery
+    });
+  }
+
+  /**
+   * Send a message, or run it as a command if it starts with /
+   */
+  function sendMessage() {
+    ipcRenderer.send($scope.activeChannel.id, {
+      type: $scope.message[0] === '/' ? 'command' : 'message',
+      message: $scope.message
+    });
+    
+    $scope.message = "";
+  }
+  
+  /**
+   * Start editing one of the bot's messages inline
+   * @param  {Object} message message object
+   */
+  function editMessage(message) {
+    if (!message.self) {
+      return;
+    }
+
+    message.draft = message.content;
+    message.editing = true;
+  }
+
+  /**
+   * Handle keyboard events while editing a message
+   * Enter saves the edit, escape cancels it
+   * @param  {Object} $event  key event
+   * @param  {Object} message message object
+   */
+  function editKeyup($event, message) {
+    if ($event.keyCode === 27) {
+      message.editing = false;
+      return;
+    }
+
+    if ($event.keyCode !== 13) {
+      return;
+    }
+
+    message.editing = false;
+
+    // an empty edit is a delete in the official client
+    if (!message.draft || !message.draft.trim()) {
+      deleteMessage(message);
+      return;
+    }
+
+    if (message.draft === message.content) {
+      return;
+    }
+
+    ipcRenderer.send(message.channel, {
+      type: 'edit',
+      id: message.id,
+      message: message.draft
+    });
+  }
+
+  /**
+   * Delete one of the bot's messages
+   * @param  {Object} message message object
+   */
+  function deleteMessage(message) {
+    if (!confirm('Delete this message?')) {
+      return;
+    }
+
+    ipcRenderer.send(message.channel, {
+      type: 'delete',
+      id: message.id
+    });
+  }
+
+  /**
+   * Publish an announcement to the servers following its channel
+   * @param  {Object} message message object
+   */
+  function crosspostMessage(message) {
+    if (!confirm('Publish this message to every server following the channel?')) {
+      return;
+    }
+
+    ipcRenderer.send(message.channel, {
+      type: 'crosspost',
+      id: message.id
+    });
+  }
+
+  /**
+   * Send the typing indicator
+   * Caution: if this goes bad and results in excess typing calls to the api,
+   *   it could result in an IP ban. Don't mess this up.
+   * 
+   * @param  {String} action start/stop
+   */
+  function typing(action) {
+    $scope.typing = (action === 'start') ? true : false;
+    
+    ipcRenderer.send($scope.activeChannel.id, {
+      type: 'typing',
+      action: action,
+      channel: $scope.activeChannel
+    });
+  }
+  
+  function activateServer(serverId) {
+    server = $scope.servers[serverId];
+    $scope.activeServer = server;
+    // $scope.$apply();
+  }
+  
+  function deactivateServer() {
+    $scope.activeServer = null;
+    // $scope.$apply();
+  }
+  
+  /**
+   * Open a channel
+   * @param  {Object} channel channel object
+   * @param  {String} around  id of a message to show instead of the latest messages
+   */
+  function activateChannel(channel, around) {
+    $scope.commandError = null;
+
+    let previous = $scope.activeChannel;
+
+    // drop scrolled back history from the channel we're leaving, all of it if we jumped into the past
+    if (previous && previous.id !== channel.id && $scope.messages[previous.id]) {
+      if (getHistory(previous.id).jumped) {
+        delete $scope.messages[previous.id];
+      } else {
+        $scope.messages[previous.id] = $scope.messages[previous.id].slice(-PAGE_SIZE);
+      }
+      $scope.history[previous.id] = { loading: false, complete: false };
+    }
+
+    $scope.highlightedMessage = around || null;
+    ipcRenderer.send('activateChannel', channel, around);
+    
+    $scope.message = "";
+    $scope.activeChannel = channel;
+  }
+  
+  /**
+   * Open a server channel by id, used by channel links in messages
+   * @param  {String} channelId channel id
+   */
+  function openChannel(channelId) {
+    for (let serverId in $scope.servers) {
+      let channel = _.find($scope.servers[serverId].channels, ch => ch.id === channelId);
+
+      if (channel) {
+        activateServer(serverId);
+        activateChannel(channel);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Collapse or expand a category in the channel list, remembered between sessions
+   * @param  {Object} category category from the server's channel list
+   */
+  function toggleCategory(category) {
+    if ($scope.collapsedCategories[category.id]) {
+      delete $scope.collapsedCategories[category.id];
+    } else {
+      $scope.collapsedCategories[category.id] = true;
+    }
+
+    localStorage.setItem('collapsedCategories', JSON.stringify($scope.collapsedCategories));
+  }
+
+  /**
+   * Symbol shown before a channel's name in the channel list
+   * @param  {Object} channel channel object
+   * @return {String}
+   */
+  function channelPrefix(channel) {
+    switch (channel.type) {
+      case 2:
+        return '\u{1F50A}';
+      case 5:
+        return '\u{1F4E2}';
+      case 13:
+        return '\u{1F399}';
+      default:
+        return '#';
+    }
+  }
+
+  /**
+   * Sum up the unread state of a server's channels
+   * @param  {Object} server server object
+   * @return {Object}        whether any channel is unread and the number of mentions
+   */
+  function serverUnread(server) {
+    let result = { unread: false, mentions: 0 };
+
+    _.each(server.channels, channel => {
+      let state = $scope.unread[channel.id];
+      if (state) {
+        result.unread = true;
+        result.mentions += state.mentions;
+      }
+    });
+
+    return result;
+  }
+
+  function markRead(channel, $event) {
+    if ($event) $event.stopPropagation();
+    ipcRenderer.send('markRead', channel.id);
+  }
+
+  function markServerRead(server, $event) {
+    if ($event) $event.stopPropagation();
+    ipcRenderer.send('markServerRead', server.id);
+  }
+
+  /**
+   * Set the notification rule for a server or channel
+   * @param  {String} scope server or channel
+   * @param  {String} id    guild or channel id
+   * @param  {String} mode  all, mentions, none, or default to clear the rule
+   */
+  function setNotificationRule(scope, id, mode) {
+    ipcRenderer.send('setNotificationRule', { scope: scope, id: id, mode: mode });
+  }
+
+  function saveNotificationKeywords() {
+    ipcRenderer.send('setNotificationKeywords', $scope.notificationKeywords.split(','));
+  }
+
+  function setDoNotDisturb() {
+    ipcRenderer.send('setDoNotDisturb', $scope.notifications.dnd);
+  }
+
+  /**
+   * Show a desktop notification, clicking it brings the client forward with the channel open
+   * @param  {Object} event ipc event
+   * @param  {Object} data  title, body, icon, channel id and server id
+   */
+  function showNotification(event, data) {
+    let notification = new Notification(data.title, { body: data.body, icon: data.icon || undefined });
+
+    notification.onclick = () => {
+      let win = remote.getCurrentWindow();
+
+      win.show();
+      win.focus();
+
+      $scope.$apply(() => {
+        if (data.server) {
+          openChannel(data.channel);
+        } else if ($scope.privateChannels[data.channel]) {
+          activatePrivateChannel($scope.privateChannels[data.channel]);
+        }
+      });
+    };
+  }
+
+  function toggleSearch() {
+    $scope.search.open = !$scope.search.open;
+  }
+
+  /**
+   * List the channels that can be searched, for the channel filter
+   * @return {Array} channel ids, labels and guild ids
+   */
+  function searchChannels() {
+    let channels = _.map($scope.privateChannels, channel => ({ id: channel.id, label: `@${channel.name}`, guild: null }));
+
+    _.each($scope.servers, server => {
+      _.each(server.channels, channel => {
+        channels.push({ id: channel.id, label: `${server.name} #${channel.name}`, guild: server.id });
+      });
+    });
+
+    return channels;
+  }
+
+  /**
+   * Search the message archive with the filters in the search panel
+   */
+  function searchArchive() {
+    let query = $scope.search.query,
+      channel = _.find(searchChannels(), ch => ch.id === query.channel);
+
+    $scope.search.id++;
+    $scope.search.loading = true;
+    $scope.search.error = null;
+
+    ipcRenderer.send('searchArchive', {
+      id: $scope.search.id,
+      text: query.text,
+      author: query.author,
+      channel: query.channel || null,
+      // direct messages are archived together
+      guild: channel ? (channel.guild || 'private') : null,
+      from: query.from ? query.from.getTime() : null,
+      // include the whole of the last day
+      to: query.to ? query.to.getTime() + DAY - 1 : null,
+      hasAttachment: !!query.hasAttachment
+    });
+  }
+
+  /**
+   * Open the channel of a search result with the message in view
+   * @param  {Object} result archived message
+   */
+  function jumpToResult(result) {
+    let server = result.guild ? $scope.servers[result.guild] : null,
+      channel = server ? _.find(server.channels, ch => ch.id === result.channel) : $scope.privateChannels[result.channel];
+
+    if (!channel) {
+      $scope.search.error = 'That channel is no longer available.';
+      return;
+    }
+
+    if (server) {
+      activateServer(server.id);
+      activateChannel(channel, result._id);
+    } else {
+      activatePrivateChannel(channel, result._id);
+    }
+  }
+
+  /**
+   * Go back to the latest messages after jumping to a search result
+   */
+  function jumpToPresent() {
+    let channel = $scope.activeChannel;
+
+    delete $scope.messages[channel.id];
+    $scope.history[channel.id] = { loading: false, complete: false };
+    $scope.highlightedMessage = null;
+    ipcRenderer.send('activateChannel', channel);
+  }
+
+  function saveArchiveSettings() {
+    ipcRenderer.send('setArchiveSettings', $scope.archive);
+  }
+
+  /**
+   * Open the export dialog for a channel
+   * @param  {Object} channel channel object
+   * @param  {Object} $event  click event
+   */
+  function openExport(channel, $event) {
+    if ($event) $event.stopPropagation();
+
+    $scope.channelExport = {
+      id: Date.now().toString(),
+      channel: channel,
+      format: 'html',
+      from: null,
+      to: null,
+      state: null
+    };
+  }
+
+  /**
+   * Ask the main process to export the channel, it asks where to save the file
+   */
+  function startExport() {
+    let options = $scope.channelExport;
+
+    options.state = 'starting';
+    options.count = 0;
+    options.error = null;
+
+    ipcRenderer.send('exportChannel', {
+      id: options.id,
+      channel: options.channel.id,
+      format: options.format,
+      from: options.from ? options.from.getTime() : null,
+      // include the whole of the last day
+      to: options.to ? options.to.getTime() + DAY - 1 : null
+    });
+  }
+
+  function cancelExport() {
+    ipcRenderer.send('cancelExport', $scope.channelExport.id);
+  }
+
+  /**
+   * Update the export dialog with progress from the main process
+   * @param  {Object} event    ipc event
+   * @param  {Object} progress export id, state, message count, and the path or error once it's finished
+   */
+  function exportProgress(event, progress) {
+    let options = $scope.channelExport;
+
+    // ignore progress from an export whose dialog was closed
+    if (!options || options.id !== progress.id) {
+      return;
+    }
+
+    // back to the options if the save dialog was dismissed
+    if (progress.state === 'cancelled') {
+      progress.state = options.state === 'starting' ? null : 'cancelled';
+    }
+
+    _.extend(options, progress);
+    $scope.$apply();
+  }
+
+  /**
+   * Open the next channel with unread messages, in the order of the sidebar
+   */
+  function nextUnread() {
+    let channels = _.map($scope.privateChannels, channel => ({ channel: channel, server: null }));
+
+    _.each($scope.servers, server => {
+      _.each(server.channels, channel => channels.push({ channel: channel, server: server.id }));
+    });
+
+    let current = $scope.activeChannel ?
+      _.findIndex(channels, item => item.channel.id === $scope.activeChannel.id) : -1;
+
+    // search from the channel after the active one, wrapping around
+    for (let i = 1; i <= channels.length; i++) {
+      let item = channels[(current + i) % channels.length];
+
+      if ($scope.unread[item.channel.id]) {
+        if (item.server) {
+          activateServer(item.server);
+          activateChannel(item.channel);
+        } else {
+          activatePrivateChannel(item.channel);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Open a direct message channel from the server list
+   * @param  {Object} channel private channel object
+   */
+  function activatePrivateChannel(channel, around) {
+    deactivateServer();
+    activateChannel(channel, around);
+  }
+
+  /**
+   * Ask for a direct message channel with the user id that was entered
+   */
+  function openPrivateChannel() {
+    let userId = ($scope.recipientId || '').trim();
+
+    $scope.privateChannelError = null;
+
+    if (!/^\d+$/.test(userId)) {
+      $scope.privateChannelError = 'Enter a user id to message.';
+      return;
+    }
+
+    ipcRenderer.send('openPrivateChannel', userId);
+    $scope.recipientId = "";
+  }
+
+  // open links in the browser instead of navigating the client
+  $(document).on('click', 'a[href^="http"]', function (e) {
+    e.preventDefault();
+    shell.openExternal(this.href);
+  });
+
+  // reveal spoilers when they're clicked
+  $(document).on('click', '.content .spoiler', function () {
+    $(this).addClass('revealed');
+  });
+
+  // open channels linked in messages
+  $(document).on('click', '.content .channel-mention', function (e) {
+    e.preventDefault();
+    let channelId = this.getAttribute('href').replace('#channel-', '');
+    $scope.$apply(() => openChannel(channelId));
+  });
+
+  ipcRenderer.on('unread-state', function (event, unread) {
+    $scope.unread = unread;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('unread-update', function (event, channelId, state) {
+    if (state) {
+      $scope.unread[channelId] = state;
+    } else {
+      delete $scope.unread[channelId];
+    }
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('next-unread', function () {
+    $scope.$apply(nextUnread);
+  });
+
+  ipcRenderer.on('notification-settings', function (event, settings) {
+    $scope.notifications = settings;
+    $scope.notificationKeywords = settings.keywords.join(', ');
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('notify', showNotification);
+  ipcRenderer.on('export-progress', exportProgress);
+
+  ipcRenderer.on('connection-state', function (event, state) {
+    let reconnected = state.state === 'connected' && $scope.connection.state !== 'connected';
+
+    $scope.connection = state;
+
+    // catch up on messages sent while we were offline, the page is merged with what we have
+    if (reconnected && $scope.activeChannel && $scope.messages[$scope.activeChannel.id] && !getHistory($scope.activeChannel.id).jumped) {
+      ipcRenderer.send('loadMessages', $scope.activeChannel);
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('archive-settings', function (event, settings) {
+    $scope.archive = settings;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('archive-results', function (event, data) {
+    // ignore results of an older search
+    if (data.id !== $scope.search.id) {
+      return;
+    }
+
+    $scope.search.loading = false;
+    $scope.search.results = data.results;
+    $scope.search.error = data.error || null;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('open-search', function () {
+    $scope.search.open = true;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('moderation-confirm', function (event, target) {
+    $scope.moderation = Object.assign({
+      id: Date.now().toString(),
+      reason: '',
+      deleteDays: '0',
+      duration: String(TIMEOUTS[3].duration),
+      count: 50,
+      working: false,
+      error: null
+    }, target);
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('moderation-result', function (event, result) {
+    let moderation = $scope.moderation;
+
+    if (!moderation || moderation.id !== result.id) {
+      return;
+    }
+
+    if (result.error) {
+      moderation.working = false;
+      moderation.error = result.error;
+    } else {
+      $scope.moderation = null;
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('open-moderation-log', function () {
+    $scope.moderationLog.open = true;
+    ipcRenderer.send('moderationLog');
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('moderation-log', function (event, entries) {
+    $scope.moderationLog.entries = entries;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('role-editor', function (event, data) {
+    let editor = $scope.roleEditor;
+
+    if (!editor || !$scope.serverSettings || $scope.serverSettings.id !== data.guild.id) {
+      return;
+    }
+
+    editor.data = data.error ? null : data;
+    editor.groups = data.error ? {} : _.groupBy(data.permissions, 'group');
+    editor.error = data.error || editor.error;
+
+    // pick up changes to the role being edited, keeping edits that haven't been saved
+    let role = editor.data && _.findWhere(editor.data.roles, { id: editor.selected });
+
+    if (!role) {
+      editor.selected = null;
+      editor.draft = null;
+    } else if (isDirty(editor.draft)) {
+      editor.draft.original = role;
+    } else {
+      editor.draft = roleDraft(role);
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('role-editor-result', function (event, result) {
+    let editor = $scope.roleEditor;
+
+    if (!editor || editor.requestId !== result.id) {
+      return;
+    }
+
+    editor.working = false;
+    editor.error = result.error || null;
+
+    // the role events that follow refresh the editor, refresh the members now in case there aren't any
+    searchRoleMembers();
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('roles-changed', function (event, guildId) {
+    if ($scope.roleEditor && $scope.serverSettings && $scope.serverSettings.id === guildId) {
+      ipcRenderer.send('roleEditor', guildId);
+      // overwrites show role names
+      ipcRenderer.send('channelEditor', guildId);
+    }
+  });
+
+  ipcRenderer.on('member-search', function (event, result) {
+    // the role and channel editors both search members
+    let editor = _.find([$scope.roleEditor, $scope.channelEditor], editor => editor && editor.memberSearchId === result.id);
+
+    if (!editor) {
+      return;
+    }
+
+    editor.members = result.members;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('channel-editor', function (event, data) {
+    let editor = $scope.channelEditor;
+
+    if (!editor || !$scope.serverSettings || $scope.serverSettings.id !== data.guild.id) {
+      return;
+    }
+
+    editor.data = data.error ? null : data;
+    editor.groups = data.error ? {} : _.groupBy(data.permissions, 'group');
+    editor.error = data.error || editor.error;
+
+    // pick up changes to the channel and overwrite being edited, keeping edits that haven't been saved
+    let channel = editor.data && _.findWhere(editor.data.channels, { id: editor.selected });
+
+    if (!channel) {
+      editor.selected = null;
+      editor.draft = null;
+      editor.overwrite = null;
+      return $scope.$apply();
+    }
+
+    if (isChannelDirty(editor.draft)) {
+      editor.draft.original = channel;
+    } else {
+      editor.draft = channelDraft(channel);
+    }
+
+    let overwrite = editor.overwrite && _.findWhere(channel.overwrites, { id: editor.overwrite.id });
+
+    if (overwrite && !isOverwriteDirty(editor.overwrite)) {
+      editor.overwrite = overwriteDraft(overwrite);
+    } else if (overwrite) {
+      editor.overwrite.original = overwrite;
+    } else if (editor.overwrite && !isOverwriteDirty(editor.overwrite)) {
+      // removed, or a new overwrite that was never saved
+      editor.overwrite = null;
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('channel-editor-result', function (event, result) {
+    let editor = $scope.channelEditor;
+
+    if (!editor || editor.requestId !== result.id) {
+      return;
+    }
+
+    editor.working = false;
+    editor.error = result.error || null;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('shard-status', function (event, shards) {
+    $scope.shards = shards;
+    $scope.$apply();
+  });
+
+  ipcRenderer.send('connectionState');
+  ipcRenderer.send('shardStatus');
+  ipcRenderer.send('notificationSettings');
+  ipcRenderer.send('archiveSettings');
+  ipcRenderer.send('commands');
+
+  ipcRenderer.on('channel-history', addHistory);
+  ipcRenderer.on('message-update', updateMessage);
+  ipcRenderer.on('message-delete', deleteMessages);
+  ipcRenderer.on('reaction-add', addReaction);
+  ipcRenderer.on('reaction-remove', removeReaction);
+  ipcRenderer.on('reaction-clear', clearReactions);
+  ipcRenderer.on('upload-progress', uploadProgress);
+  ipcRenderer.on('system-message', addSystemMessage);
+
+  ipcRenderer.on('commands', function (event, commands) {
+    $scope.commands = commands;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('autocomplete', function (event, data) {
+    // ignore suggestions for text that has since changed
+    if (data.id !== $scope.suggestions.id) {
+      return;
+    }
+
+    $scope.suggestions.items = data.items;
+    $scope.suggestions.index = 0;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('command-error', function (event, error) {
+    $scope.commandError = `${error.type} failed: ${error.message}`;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('private-channel-create', function (event, channel, activate) {
+    if (!$scope.privateChannels[channel.id]) {
+      ipcRenderer.on(channel.id, addMessage);
+    }
+
+    $scope.privateChannels[channel.id] = channel;
+
+    if (activate) {
+      activatePrivateChannel(channel);
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('private-channel-error', function (event, message) {
+    $scope.privateChannelError = message;
+    $scope.$apply();
+  });
+
+  // channels we're listening to messages for, servers are created again when the bot reconnects
+  let channelListeners = {};
+
+  /**
+   * Add or replace a server and start listening to its channels
+   * @param  {Object} server server object with its channels keyed by id
+   */
+  function setServer(server) {
+    let previous = $scope.servers[server.id];
+
+    $scope.servers[server.id] = server;
+
+    // the channels that can be opened, in the order of the channel list
+    server.channels = _.filter(_.flatten(_.pluck(server.categories, 'channels')), channel => channel.textable);
+
+    for (let channel of server.channels) {
+      if (channelListeners[channel.id]) continue;
+      channelListeners[channel.id] = true;
+      ipcRenderer.on(channel.id, addMessage);
+    }
+
+    if ($scope.activeServer && $scope.activeServer.id === server.id) {
+      $scope.activeServer = server;
+    }
+
+    // pick up a new name or topic of the open channel, close it if it's gone
+    let active = $scope.activeChannel;
+
+    if (active && previous && _.findWhere(previous.channels, { id: active.id })) {
+      $scope.activeChannel = _.findWhere(server.channels, { id: active.id }) || null;
+    }
+  }
+
+  ipcRenderer.on('voice-update', function (event, update) {
+    let server = $scope.servers[update.server],
+      channels = server ? _.flatten(_.pluck(server.categories, 'channels')) : [],
+      channel = _.findWhere(channels, { id: update.channel });
+
+    if (channel) {
+      channel.voiceMembers = update.members;
+      $scope.$apply();
+    }
+  });
+
+  ipcRenderer.on('server-create', function (event, server) {
+    setServer(server);
+    $scope.$apply();
+  });
+  
+  ipcRenderer.on('server-update', function (event, server) {
+    setServer(server);
+
+    // the channel editor refreshes from the same changes
+    if ($scope.channelEditor && $scope.serverSettings && $scope.serverSettings.id === server.id) {
+      ipcRenderer.send('channelEditor', server.id);
+    }
+
+    $scope.$apply();
+  });
+  
+  ipcRenderer.on('server-delete', function (event, server) {
+    delete $scope.servers[server.id];
+    $scope.$apply();
+  });
+}
+
+/**
+ * Filter to format milliseconds as a duration, e.g. 2d 3h 4m 5s
+ * Usage: {{stats.uptime | duration}}
+ */
+function duration() {
+  return function (ms) {
+    let seconds = Math.floor((ms || 0) / 1000),
+      parts = [
+        [Math.floor(seconds / 86400), 'd'],
+        [Math.floor(seconds / 3600) % 24, 'h'],
+        [Math.floor(seconds / 60) % 60, 'm'],
+        [seconds % 60, 's']
+      ];
+
+    // drop leading zero units, but always show seconds
+    while (parts.length > 1 && parts[0][0] === 0) {
+      parts.shift();
+    }
+
+    return parts.map(part => part[0] + part[1]).join(' ');
+  };
+}
+
+/**
+ * Directive to evaluate an expression when an element is scrolled to the top
+ * Usage: <div scroll-top="loadMore()"></div>
+ */
+function scrollTop($parse) {
+  return {
+    restrict: 'A',
+    link: function (scope, $el, attrs) {
+      let el = $el[0],
+        handler = $parse(attrs.scrollTop);
+
+      $el.bind('scroll', function () {
+        if (el.scrollTop <= 1) {
+          scope.$apply(function () {
+            handler(scope);
+          });
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Directive to focus an element when it's added to the page
+ * Usage: <input auto-focus />
+ */
+function autoFocus($timeout) {
+  return {
+    restrict: 'A',
+    link: function (scope, $el) {
+      $timeout(function () {
+        $el[0].focus();
+      });
+    }
+  };
+}
+
+/**
+ * Directive to handle right clicks
+ * Usage: <div context-menu="open(item)"></div>
+ */
+function contextMenu($parse) {
+  return {
+    restrict: 'A',
+    link: function (scope, $el, attrs) {
+      let handler = $parse(attrs.contextMenu);
+
+      $el.bind('contextmenu', function (e) {
+        e.preventDefault();
+
+        scope.$apply(function () {
+          handler(scope, { $event: e });
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Filter to format an integer colour as a css hex colour
+ * Usage: {{embed.color | hexColor}}
+ */
+function hexColor() {
+  return function (color) {
+    if (!color) {
+      return '#4f545c';
+    }
+
+    return '#' + ('000000' + color.toString(16)).slice(-6);
+  };
+}
+
+/**
+ * Filter to format a number of bytes for display
+ * Usage: {{attachment.size | fileSize}}
+ */
+function fileSize() {
+  return function (bytes) {
+    let units = ['B', 'KB', 'MB', 'GB'],
+      i = 0;
+
+    bytes = bytes || 0;
+
+    while (bytes >= 1024 && i < units.length - 1) {
+      bytes /= 1024;
+      i++;
+    }
+
+    return `${i ? bytes.toFixed(1) : bytes} ${units[i]}`;
+  };
+}
+
+/**
+ * Directive to evaluate an expression with files dropped on an element
+ * Usage: <div file-drop="addFiles($files)"></div>
+ */
+function fileDrop($parse) {
+  return {
+    restrict: 'A',
+    link: function (scope, $el, attrs) {
+      let handler = $parse(attrs.fileDrop);
+
+      $el.bind('dragover', function (e) {
+        e.preventDefault();
+        $el.addClass('dragover');
+      });
+
+      $el.bind('dragleave', function () {
+        $el.removeClass('dragover');
+      });
+
+      $el.bind('drop', function (e) {
+        let files = Array.from((e.originalEvent || e).dataTransfer.files);
+
+        e.preventDefault();
+        $el.removeClass('dragover');
+
+        if (!files.length) return;
+
+        // electron exposes the path of dropped files
+        scope.$apply(function () {
+          handler(scope, {
+            $files: files.map(file => ({ name: file.name, path: file.path, size: file.size }))
+          });
+        });
+      });
+    }
+  };
+}
+
+function EmbedController($scope) {
+  // discord's embed limits
+  $scope.limits = {
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048,
+    author: 256,
+    total: 6000
+  };
+
+  $scope.open = false;
+  $scope.addField = addField;
+  $scope.removeField = removeField;
+  $scope.setColor = setColor;
+  $scope.setTimestamp = setTimestamp;
+  $scope.errors = errors;
+  $scope.clear = clear;
+  $scope.send = send;
+  $scope.save = save;
+  $scope.load = load;
+
+  clear();
+
+  /**
+   * An embed with every property the builder can edit
+   * @return {Object} embed object
+   */
+  function emptyEmbed() {
+    return {
+      title: '',
+      url: '',
+      description: '',
+      color: 0,
+      author: { name: '', url: '', icon_url: '' },
+      thumbnail: { url: '' },
+      image: { url: '' },
+      footer: { text: '', icon_url: '' },
+      fields: [],
+      timestamp: null
+    };
+  }
+
+  /**
+   * Reset the builder
+   */
+  function clear() {
+    $scope.content = '';
+    $scope.embed = emptyEmbed();
+    $scope.color = '#000000';
+    $scope.timestamp = false;
+  }
+
+  function addField() {
+    $scope.embed.fields.push({ name: '', value: '', inline: false });
+  }
+
+  function removeField(index) {
+    $scope.embed.fields.splice(index, 1);
+  }
+
+  function setColor() {
+    $scope.embed.color = parseInt($scope.color.slice(1), 16);
+  }
+
+  function setTimestamp() {
+    $scope.embed.timestamp = $scope.timestamp ? new Date().toISOString() : null;
+  }
+
+  /**
+   * Check the embed against discord's limits
+   * @return {Array} error messages
+   */
+  function errors() {
+    let embed = $scope.embed,
+      limits = $scope.limits,
+      result = [],
+      total = 0;
+
+    let check = (value, limit, name) => {
+      let length = (value || '').length;
+      total += length;
+      if (length > limit) {
+        result.push(`${name} is ${length} characters, the limit is ${limit}.`);
+      }
+    };
+
+    check(embed.title, limits.title, 'Title');
+    check(embed.description, limits.description, 'Description');
+    check(embed.author.name, limits.author, 'Author name');
+    check(embed.footer.text, limits.footer, 'Footer');
+
+    embed.fields.forEach((field, i) => {
+      check(field.name, limits.fieldName, `Field ${i + 1} name`);
+      check(field.value, limits.fieldValue, `Field ${i + 1} value`);
+      if (!field.name || !field.value) {
+        result.push(`Field ${i + 1} needs a name and a value.`);
+      }
+    });
+
+    if (total > limits.total) {
+      result.push(`Embed is ${total} characters, the limit is ${limits.total}.`);
+    }
+
+    if (_.isEmpty(compact(embed))) {
+      result.push('Embed is empty.');
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove empty values, the api rejects empty embed properties
+   * @param  {Object} value embed or embed property
+   * @return {Object}       value without empty properties
+   */
+  function compact(value) {
+    if (_.isArray(value)) {
+      return value.map(compact);
+    }
+
+    if (!_.isObject(value)) {
+      return value;
+    }
+
+    let result = {};
+
+    for (let key of Object.keys(value)) {
+      let prop = compact(value[key]);
+
+      if (prop === '' || prop === null || prop === 0 || (_.isObject(prop) && _.isEmpty(prop))) {
+        continue;
+      }
+
+      result[key] = prop;
+    }
+
+    return result;
+  }
+
+  /**
+   * Send the embed to the active channel
+   */
+  function send() {
+    if (!$scope.activeChannel || errors().length) {
+      return;
+    }
+
+    // refresh the timestamp so it's the time the embed was sent
+    setTimestamp();
+
+    ipcRenderer.send($scope.activeChannel.id, {
+      type: 'message',
+      message: {
+        content: $scope.content,
+        embed: compact($scope.embed)
+      }
+    });
+
+    $scope.open = false;
+    clear();
+  }
+
+  /**
+   * Save the embed as a json file
+   */
+  function save() {
+    let options = { filters: [{ name: 'JSON', extensions: ['json'] }] };
+
+    remote.dialog.showSaveDialog(remote.getCurrentWindow(), options, filename => {
+      if (!filename) return;
+
+      fs.writeFile(filename, JSON.stringify(compact($scope.embed), null, 2), err => {
+        if (err) alert(`Unable to save embed: ${err.message}`);
+      });
+    });
+  }
+
+  /**
+   * Load an embed from a json file
+   * Accepts an embed object, or a message payload with an embed or embeds
+   */
+  function load() {
+    let options = { filters: [{ name: 'JSON', extensions: ['json'] }], properties: ['openFile'] };
+
+    remote.dialog.showOpenDialog(remote.getCurrentWindow(), options, filenames => {
+      if (!filenames || !filenames.length) return;
+
+      fs.readFile(filenames[0], 'utf8', (err, data) => {
+        let embed;
+
+        try {
+          if (err) throw err;
+          data = JSON.parse(data);
+          embed = data.embed || (data.embeds && data.embeds[0]) || data;
+        } catch (e) {
+          return alert(`Unable to load embed: ${e.message}`);
+        }
+
+        clear();
+
+        // fill in the properties the builder expects
+        $scope.embed = _.defaults(embed, emptyEmbed());
+        _.defaults($scope.embed.author, { name: '', url: '', icon_url: '' });
+        _.defaults($scope.embed.footer, { text: '', icon_url: '' });
+        $scope.content = data.content || '';
+        $scope.color = hexColor()($scope.embed.color || 0);
+        $scope.timestamp = !!$scope.embed.timestamp;
+        $scope.$apply();
+      });
+    });
+  }
+}
+
+function ProfileController($scope) {
+  $scope.profiles = [];
+  $scope.profile = { name: '', token: '' };
+  $scope.error = null;
+  $scope.checking = false;
+  // assume there's a passphrase until the main process says otherwise so the warning doesn't flash
+  $scope.passphraseSet = true;
+  $scope.addProfile = addProfile;
+  $scope.useProfile = useProfile;
+  $scope.removeProfile = removeProfile;
+  $scope.settings = null;
+  $scope.openSettings = openSettings;
+  $scope.saveSettings = saveSettings;
+  $scope.activeProfileId = () => (_.find($scope.profiles, profile => profile.active) || {})._id;
+
+  /**
+   * Check the token and add the profile, the main process logs in when it's valid
+   */
+  function addProfile() {
+    $scope.error = null;
+    $scope.checking = true;
+    ipcRenderer.send('addProfile', $scope.profile);
+  }
+
+  function useProfile(profile) {
+    ipcRenderer.send('useProfile', profile._id);
+  }
+
+  function removeProfile(profile) {
+    if (confirm(`Remove the profile "${profile.name}"?`)) {
+      ipcRenderer.send('removeProfile', profile._id);
+    }
+  }
+
+  /**
+   * Open the connection settings of a profile
+   * @param  {Object} profile profile
+   */
+  function openSettings(profile) {
+    $scope.error = null;
+    ipcRenderer.send('profileConnection', profile._id);
+  }
+
+  /**
+   * Save the connection settings, the main process reconnects if the profile is active
+   */
+  function saveSettings() {
+    let settings = $scope.settings,
+      connection = _.extend({}, settings.connection);
+
+    connection.maxShards = settings.autoShards ? 'auto' : connection.maxShards;
+    connection.intents = settings.defaultIntents ? null :
+      settings.intents.filter(name => settings.enabledIntents[name]);
+
+    $scope.error = null;
+    ipcRenderer.send('saveProfileConnection', { id: settings.id, connection: connection });
+  }
+
+  ipcRenderer.on('profile-connection', function (event, data) {
+    let enabledIntents = {};
+
+    for (let name of data.connection.intents || []) {
+      enabledIntents[name] = true;
+    }
+
+    $scope.settings = {
+      id: data.id,
+      name: _.find($scope.profiles, profile => profile._id === data.id).name,
+      connection: data.connection,
+      autoShards: data.connection.maxShards === 'auto',
+      defaultIntents: !data.connection.intents,
+      intents: data.intents,
+      enabledIntents: enabledIntents
+    };
+
+    // the shard count input needs a number
+    if ($scope.settings.autoShards) {
+      data.connection.maxShards = 1;
+    }
+
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('profile-connection-saved', function () {
+    $scope.settings = null;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('profiles', function (event, profiles) {
+    $scope.profiles = profiles;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('passphrase-set', function (event, passphraseSet) {
+    $scope.passphraseSet = passphraseSet;
+    $scope.$apply();
+  });
+
+  ipcRenderer.on('profile-error', function (event, error) {
+    $scope.error = error;
+    $scope.checking = false;
+    $scope.$apply();
+  });
+
+  ipcRenderer.send('profiles');
+}
+
+function DiagnosticsController($scope) {
+  // size of the event rate graph in svg units
+  const GRAPH_WIDTH = 600;
+  const GRAPH_HEIGHT = 120;
+
+  $scope.stats = null;
+  $scope.graph = { width: GRAPH_WIDTH, height: GRAPH_HEIGHT, points: '', max: 0 };
+
+  /**
+   * Build the polyline points of the event rate graph
+   * @param  {Array} rates events per second, oldest first
+   */
+  function drawGraph(rates) {
+    let max = Math.max.apply(null, rates.concat([1])),
+      step = rates.length > 1 ? GRAPH_WIDTH / (rates.length - 1) : GRAPH_WIDTH;
+
+    $scope.graph.max = max;
+    $scope.graph.points = rates
+      .map((rate, i) => `${Math.round(i * step)},${Math.round(GRAPH_HEIGHT - rate / max * GRAPH_HEIGHT)}`)
+      .join(' ');
+  }
+
+  ipcRenderer.on('diagnostics', function (event, stats) {
+    $scope.stats = stats;
+    drawGraph(stats.rates);
+    $scope.$apply();
+  });
+
+  ipcRenderer.send('diagnostics');
+}
+
+function PluginsController($scope) {
+  $scope.directory = null;
+  $scope.plugins = [];
+  $scope.showLog = {};
+  $scope.setEnabled = plugin => ipcRenderer.send('setPluginEnabled', plugin.file, plugin.enabled);
+  $scope.reload = plugin => ipcRenderer.send('reloadPlugin', plugin.file);
+  $scope.openFolder = () => shell.openItem($scope.directory);
+
+  ipcRenderer.on('plugins', function (event, data) {
+    $scope.directory = data.directory;
+    $scope.plugins = data.plugins;
+    $scope.$apply();
+  });
+
+  ipcRenderer.send('plugins');
+}
+
+function PassphraseController($scope) {
+  // unlock at startup, or set a new passphrase from the account menu
+  $scope.mode = /mode=set/.test(location.search) ? 'set' : 'unlock';
+  $scope.passphrase = '';
+  $scope.confirmation = '';
+  $scope.error = null;
+  $scope.working = false;
+  $scope.submit = submit;
+
+  function submit() {
+    $scope.error = null;
+
+    if ($scope.mode === 'set' && $scope.passphrase !== $scope.confirmation) {
+      $scope.error = 'The passphrases don\'t match.';
+      return;
+    }
+
+    $scope.working = true;
+    ipcRenderer.send($scope.mode === 'set' ? 'setPassphrase' : 'unlock', $scope.passphrase);
+  }
+
+  ipcRenderer.on('passphrase-error', function (event, error) {
+    $scope.error = error;
+    $scope.working = false;
+    $scope.$apply();
+  });
 }
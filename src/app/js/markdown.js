@@ -0,0 +1,249 @@
+"use strict";
+
+/**
+ * Discord flavoured markdown renderer
+ *
+ * Content is html escaped before any markdown is applied, the only tags in the
+ * output are the ones created here.
+ */
+
+// keywords highlighted in code blocks, by language
+const KEYWORDS = {
+  js: 'async await break case catch class const continue debugger default delete do else export extends ' +
+    'false finally for function if import in instanceof let new null of return static super switch this ' +
+    'throw true try typeof undefined var void while with yield',
+  json: 'true false null',
+  py: 'and as assert async await break class continue def del elif else except False finally for from ' +
+    'global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+  sh: 'case do done elif else esac export fi for function if in local return then until while',
+  css: 'important',
+  sql: 'select from where and or not insert into values update set delete create table drop alter ' +
+    'join left right inner outer on group by order having limit as null is in like',
+  go: 'break case chan const continue default defer else fallthrough for func go goto if import ' +
+    'interface map nil package range return select struct switch true false type var',
+  rust: 'as async await break const continue crate else enum extern false fn for if impl in let loop ' +
+    'match mod move mut pub ref return self Self static struct super trait true type unsafe use where while'
+};
+
+// comment syntax, by language
+const COMMENTS = {
+  js: { line: '//', block: true },
+  json: {},
+  py: { line: '#' },
+  sh: { line: '#' },
+  css: { block: true },
+  sql: { line: '--', block: true },
+  go: { line: '//', block: true },
+  rust: { line: '//', block: true }
+};
+
+// alternative names for code block languages
+const ALIASES = {
+  javascript: 'js',
+  jsx: 'js',
+  ts: 'js',
+  typescript: 'js',
+  python: 'py',
+  bash: 'sh',
+  shell: 'sh',
+  zsh: 'sh',
+  scss: 'css',
+  golang: 'go',
+  rs: 'rust'
+};
+
+/**
+ * Escape html special characters
+ * @param  {String} text text to escape
+ * @return {String}      escaped text
+ */
+function escape(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Highlight a block of escaped code
+ * @param  {String} code escaped code
+ * @param  {String} lang language name or alias
+ * @return {String}      code with highlighted tokens wrapped in spans
+ */
+function highlight(code, lang) {
+  lang = ALIASES[lang] || lang;
+
+  if (!KEYWORDS[lang]) {
+    return code;
+  }
+
+  let keywords = KEYWORDS[lang].split(' '),
+    comments = COMMENTS[lang],
+    patterns = [];
+
+  if (comments.block) patterns.push('\\/\\*[\\s\\S]*?\\*\\/');
+  if (comments.line) patterns.push(comments.line.replace(/[\/]/g, '\\/') + '.*');
+
+  patterns.push(
+    // strings
+    '"(?:\\\\.|[^"\\\\\\n])*"', "'(?:\\\\.|[^'\\\\\\n])*'", '`(?:\\\\.|[^`\\\\])*`',
+    // html entities from escaping, so they aren't highlighted as words
+    '&\\w+;',
+    // numbers
+    '\\b\\d+(?:\\.\\d+)?\\b',
+    // words
+    '[A-Za-z_$][\\w$]*'
+  );
+
+  return code.replace(new RegExp(patterns.join('|'), 'g'), token => {
+    let type;
+
+    if ((comments.block && token.indexOf('/*') === 0) || (comments.line && token.indexOf(comments.line) === 0)) {
+      type = 'comment';
+    } else if (/^["'`]/.test(token)) {
+      type = 'string';
+    } else if (/^\d/.test(token)) {
+      type = 'number';
+    } else if (keywords.indexOf(token) !== -1) {
+      type = 'keyword';
+    }
+
+    return type ? `<span class="hl-${type}">${token}</span>` : token;
+  });
+}
+
+/**
+ * Wrap block quotes, "> " quotes a line and ">>> " quotes the rest of the message
+ * @param  {String} text escaped text
+ * @return {String}      text with block quotes
+ */
+function blockQuotes(text) {
+  let lines = text.split('\n'),
+    output = [],
+    quote = [];
+
+  let flush = () => {
+    if (quote.length) {
+      output.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    let match = /^&gt;&gt;&gt; ([\s\S]*)$/.exec(lines[i]);
+
+    if (match) {
+      quote = quote.concat(match[1], lines.slice(i + 1));
+      break;
+    }
+
+    match = /^&gt; (.*)$/.exec(lines[i]);
+
+    if (match) {
+      quote.push(match[1]);
+    } else {
+      flush();
+      output.push(lines[i]);
+    }
+  }
+
+  flush();
+
+  // block quotes start a new line already
+  return output.join('\n').replace(/<\/blockquote>\n/g, '</blockquote>');
+}
+
+/**
+ * Apply inline formatting
+ * @param  {String} text escaped text
+ * @return {String}      formatted text
+ */
+function inline(text) {
+  return text
+    .replace(/\*\*\*([\s\S]+?)\*\*\*/g, '<strong><em>$1</em></strong>')
+    .replace(/\*\*([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^\s*](?:[\s\S]*?[^\s*])?)\*/g, '<em>$1</em>')
+    .replace(/__([\s\S]+?)__/g, '<u>$1</u>')
+    .replace(/\b_([\s\S]+?)_\b/g, '<em>$1</em>')
+    .replace(/~~([\s\S]+?)~~/g, '<s>$1</s>')
+    .replace(/\|\|([\s\S]+?)\|\|/g, '<span class="spoiler">$1</span>');
+}
+
+/**
+ * Render a user, role or channel mention
+ * @param  {String} type     @ or @! for users, @&amp; for roles, # for channels
+ * @param  {String} id       id of the mentioned user, role or channel
+ * @param  {Object} mentions resolved users, roles and channels keyed by id
+ * @return {String}          html
+ */
+function mention(type, id, mentions) {
+  let resolved;
+
+  if (type === '#') {
+    resolved = mentions.channels && mentions.channels[id];
+    return `<a class="mention channel-mention" href="#channel-${id}">#${resolved ? escape(resolved.name) : 'deleted-channel'}</a>`;
+  }
+
+  if (type === '@&amp;') {
+    resolved = mentions.roles && mentions.roles[id];
+
+    if (!resolved) {
+      return '<span class="mention">@deleted-role</span>';
+    }
+
+    // the sanitizer doesn't allow style attributes, colour the pill with a font tag
+    if (/^#[0-9a-f]{6}$/i.test(resolved.color || '')) {
+      return `<font class="mention role-mention" color="${resolved.color}">@${escape(resolved.name)}</font>`;
+    }
+
+    return `<span class="mention role-mention">@${escape(resolved.name)}</span>`;
+  }
+
+  resolved = mentions.users && mentions.users[id];
+  return `<span class="mention" title="${id}">@${resolved ? escape(resolved.name) : 'unknown-user'}</span>`;
+}
+
+/**
+ * Render message content as html
+ * @param  {String} text     message content
+ * @param  {Object} mentions resolved users, roles and channels keyed by id
+ * @return {String}          html
+ */
+function render(text, mentions) {
+  let stash = [];
+
+  // code is set aside so nothing else formats it, placeholders use a character that can't be in the content
+  let hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  text = escape((text || '').replace(/\u0000/g, ''));
+
+  // fenced code blocks, the language is a single word on the first line
+  text = text.replace(/```(?:([\w+#-]+)\n)?\n?([\s\S]*?)\n?```\n?/g, (match, lang, code) => {
+    lang = lang ? lang.toLowerCase() : '';
+    let className = lang ? ` class="language-${lang.replace(/[^\w-]/g, '')}"` : '';
+    return hold(`<pre><code${className}>${highlight(code, lang)}</code></pre>`);
+  });
+
+  // inline code
+  text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${code}</code>`));
+
+  // mentions and custom emoji, set aside so names aren't formatted
+  text = text.replace(/&lt;(@!?|@&amp;|#)(\d+)&gt;/g, (match, type, id) => hold(mention(type, id, mentions || {})));
+  text = text.replace(/@(everyone|here)\b/g, (match) => hold(`<span class="mention">${match}</span>`));
+  text = text.replace(/&lt;(a?):(\w+):(\d+)&gt;/g, (match, animated, name, id) => {
+    let url = `https://cdn.discordapp.com/emojis/${id}.${animated ? 'gif' : 'png'}`;
+    return hold(`<img class="emoji" src="${url}" alt=":${name}:" title=":${name}:" />`);
+  });
+
+  text = inline(blockQuotes(text));
+
+  return text
+    .replace(/\n/g, '<br />')
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => stash[i]);
+}
+
+module.exports = {
+  escape: escape,
+  highlight: highlight,
+  render: render
+};
@@ -7,19 +7,70 @@ const Datastore = require('nedb');
 const electron = require('electron');
 const BrowserWindow = electron.BrowserWindow;
 const ipcMain = electron.ipcMain;
+const dialog = electron.dialog;
 const app = electron.app;
 const Menu = electron.Menu;
-const appMenu = require('./appMenu')(app);
+const appMenu = require('./appMenu');
+const autocomplete = require('./autocomplete');
+const Profiles = require('./profiles');
+const Vault = require('./vault');
+const ReadState = require('./readState');
+const Notifications = require('./notifications');
+const Archive = require('./archive');
+const exporter = require('./exporter');
+const Connection = require('./connection');
+const Diagnostics = require('./diagnostics');
+const commands = require('./commands');
+const Plugins = require('./plugins');
+const Moderation = require('./moderation');
+const Roles = require('./roles');
+const Channels = require('./channels');
+
+// number of messages fetched per page of channel history
+const PAGE_SIZE = 50;
+
+// maximum total size of files sent with a message
+const UPLOAD_LIMIT = 25 * 1024 * 1024;
+
+// moderation context menu, the client asks for confirmation before an action is taken
+const MODERATION_MENU = [
+  { action: 'kick', label: user => `Kick ${user}...` },
+  { action: 'ban', label: user => `Ban ${user}...` },
+  { action: 'unban', label: user => `Unban ${user}...` },
+  { action: 'timeout', label: user => `Timeout ${user}...` },
+  { type: 'separator' },
+  { action: 'purge', label: () => 'Purge last messages...' },
+  { action: 'purgeUser', label: user => `Purge messages from ${user}...` }
+];
+
+// names of the channel export formats for the save dialog
+const EXPORT_FORMATS = { json: 'JSON', html: 'HTML transcript', csv: 'CSV' };
 
 let main;
 
+/**
+ * Format an integer colour as a css hex colour
+ * @param  {Number} color integer colour
+ * @return {String}       hex colour
+ */
+function colorToHex(color) {
+  return '#' + ('000000' + (color || 0).toString(16)).slice(-6);
+}
+
 class Main {
 
   constructor(eris) {
     this.eris = eris;
     this.mainWindow = null;
     this.activeChannel = null;
-    this.retries = 0;
+    this.connection = null;
+    this.diagnostics = null;
+    this.roles = null;
+    this.channels = null;
+    // channel ids that have an ipc command listener registered
+    this.channelListeners = {};
+    // running channel exports by id
+    this.exports = {};
 
     // debug: print userData path so we know where data files are being stored locally
     console.log(app.getPath('userData'));
@@ -29,11 +80,34 @@ class Main {
       filename: path.join(app.getPath('userData'), 'config.db'),
       autoload: true
     });
-    
-    app.config = {};
+
+    this.profiles = new Profiles(this.config, new Vault());
+    this.profile = null;
+
+    // last read message per channel, and channels with unread messages since startup
+    this.readState = new ReadState(path.join(app.getPath('userData'), 'read.db'));
+    this.unread = {};
+
+    // desktop notification rules of the active profile
+    this.notifications = new Notifications(this.config);
+
+    // optional local archive of messages, stored per guild next to the config db
+    this.archive = new Archive(this.config, app.getPath('userData'));
+    this.archive.load(err => {
+      if (err) console.log(err);
+    });
+
+    // moderation actions taken from the client, logged per profile
+    this.moderation = new Moderation(path.join(app.getPath('userData'), 'moderation.db'));
+
+    // user scripts from the plugins folder
+    this.plugins = new Plugins(this, this.config, path.join(app.getPath('userData'), 'plugins'), this.onPluginsChange.bind(this));
 
     // App event handlers
     app.on('ready', this.login.bind(this));
+    app.on('ready', () => this.plugins.load(err => {
+      if (err) console.log(err);
+    }));
 
     app.on('window-all-closed', () => {
       if (process.platform !== 'darwin') {
@@ -49,18 +123,94 @@ class Main {
 
     // Renderer event handlers
     ipcMain.on('activateChannel', this.activateChannel.bind(this));
+    ipcMain.on('loadMessages', this.loadMessages.bind(this));
+    ipcMain.on('openPrivateChannel', this.openPrivateChannel.bind(this));
+    ipcMain.on('autocomplete', this.autocomplete.bind(this));
+    ipcMain.on('markRead', (event, channelId) => this.markRead(channelId));
+    ipcMain.on('markServerRead', (event, serverId) => this.markServerRead(serverId));
+    ipcMain.on('notificationSettings', (event) => this.sendNotificationSettings(event.sender));
+    ipcMain.on('setNotificationRule', (event, rule) => this.setNotificationRule(rule));
+    ipcMain.on('setNotificationKeywords', (event, keywords) => this.setNotificationKeywords(keywords));
+    ipcMain.on('setDoNotDisturb', (event, dnd) => this.setDoNotDisturb(dnd));
+    ipcMain.on('archiveSettings', (event) => event.sender.send('archive-settings', this.archive.settings));
+    ipcMain.on('setArchiveSettings', this.setArchiveSettings.bind(this));
+    ipcMain.on('searchArchive', this.searchArchive.bind(this));
+    ipcMain.on('exportChannel', this.exportChannel.bind(this));
+    ipcMain.on('cancelExport', (event, id) => this.exports[id] && this.exports[id].cancel());
+    ipcMain.on('connectionState', (event) => this.connection && event.sender.send('connection-state', this.connection.state));
+    ipcMain.on('reconnectNow', () => this.connection && this.connection.retryNow());
+    ipcMain.on('diagnostics', (event) => this.sendDiagnostics(event.sender));
+    ipcMain.on('shardStatus', (event) => this.sendShardStatus(event.sender));
+    ipcMain.on('commands', (event) => event.sender.send('commands', commands.list()));
+    ipcMain.on('moderationMenu', this.showModerationMenu.bind(this));
+    ipcMain.on('moderate', this.moderate.bind(this));
+    ipcMain.on('moderationLog', (event) => this.sendModerationLog(event.sender));
+    ipcMain.on('roleEditor', (event, guildId) => this.sendRoleEditor(event.sender, guildId));
+    ipcMain.on('editRoles', this.editRoles.bind(this));
+    ipcMain.on('searchMembers', this.searchMembers.bind(this));
+    ipcMain.on('channelEditor', (event, guildId) => this.sendChannelEditor(event.sender, guildId));
+    ipcMain.on('editChannels', this.editChannels.bind(this));
+
+    // Plugin manager event handlers
+    ipcMain.on('plugins', (event) => this.sendPlugins(event.sender));
+    ipcMain.on('setPluginEnabled', this.setPluginEnabled.bind(this));
+    ipcMain.on('reloadPlugin', (event, file) => this.plugins.reload(file));
+
+    // Profile window event handlers
+    ipcMain.on('profiles', (event) => this.sendProfiles(event.sender));
+    ipcMain.on('addProfile', this.addProfile.bind(this));
+    ipcMain.on('useProfile', (event, id) => this.switchProfile(id));
+    ipcMain.on('removeProfile', this.removeProfile.bind(this));
+    ipcMain.on('profileConnection', this.sendProfileConnection.bind(this));
+    ipcMain.on('saveProfileConnection', this.saveProfileConnection.bind(this));
+
+    // Passphrase window event handlers
+    ipcMain.on('unlock', this.unlock.bind(this));
+    ipcMain.on('setPassphrase', this.setPassphrase.bind(this));
+  }
+
+  /**
+   * Handlers for the bot events, plugins can subscribe to the same events
+   * @return {Object} handlers by event name
+   */
+  botEvents() {
+    return {
+      ready: this.onReady.bind(this),
+      shardReady: this.onShardReady.bind(this),
+      shardResume: () => this.sendShardStatus(),
+      shardDisconnect: () => this.sendShardStatus(),
+      error: this.onError.bind(this),
+      messageCreate: this.onMessage.bind(this),
+      messageUpdate: this.onMessageUpdate.bind(this),
+      messageDelete: this.onMessageDelete.bind(this),
+      messageDeleteBulk: this.onMessageDeleteBulk.bind(this),
+      messageReactionAdd: this.onReactionAdd.bind(this),
+      messageReactionRemove: this.onReactionRemove.bind(this),
+      messageReactionRemoveAll: this.onReactionRemoveAll.bind(this),
+      messageReactionRemoveEmoji: this.onReactionRemoveEmoji.bind(this),
+      guildCreate: this.createServer.bind(this),
+      guildDelete: this.deleteServer.bind(this),
+      channelCreate: this.createChannel.bind(this),
+      channelDelete: this.deleteChannel.bind(this),
+      channelUpdate: this.updateChannel.bind(this),
+      voiceChannelJoin: (member, channel) => this.updateVoice([channel]),
+      voiceChannelLeave: (member, channel) => this.updateVoice([channel]),
+      voiceChannelSwitch: (member, channel, oldChannel) => this.updateVoice([channel, oldChannel]),
+      voiceStateUpdate: member => member.guild && this.updateVoice([member.guild.channels.get(member.voiceState.channelID)]),
+      guildRoleCreate: guild => this.onRolesChanged(guild),
+      guildRoleUpdate: guild => this.onRolesChanged(guild),
+      guildRoleDelete: guild => this.onRolesChanged(guild),
+      guildMemberUpdate: guild => this.onRolesChanged(guild)
+    };
   }
 
   bindBot() {
     // Bot event handlers
-    this.bot.on('ready', this.onReady.bind(this));
-    this.bot.on('error', this.onError.bind(this));
-    this.bot.on('disconnect', this.onDisconnect.bind(this));
-    this.bot.on('messageCreate', this.onMessage.bind(this));
-    this.bot.on('guildCreate', this.createServer.bind(this));
-    this.bot.on('guildDelete', this.deleteServer.bind(this));
-    this.bot.on('channelCreate', this.createChannel.bind(this));
-    this.bot.on('channelDelete', this.deleteChannel.bind(this));
+    let events = this.botEvents();
+
+    for (let event of Object.keys(events)) {
+      this.bot.on(event, events[event]);
+    }
   }
 
   get app() {
@@ -68,291 +218,1734 @@ class Main {
   }
 
   /**
-   * Login with token or show the token window
+   * Login with the active profile or show the profile window
    */
   login() {
-    this.config.findOne({}, (err, doc) => {
-      if (!doc || !doc.token) {
-        return this.createTokenWindow();
+    // older versions stored a single token
+    this.profiles.migrate(() => {
+      this.profiles.needsPassphrase((err, needed) => {
+        if (needed) {
+          return this.createPassphraseWindow('unlock');
+        }
+
+        this.profiles.unlock('', err => {
+          if (err) return console.log(err);
+          this.loginActive();
+        });
+      });
+    });
+  }
+
+  /**
+   * Login with the active profile once the tokens are unlocked
+   */
+  loginActive() {
+    this.profiles.getActive((err, profile) => {
+      if (!profile) {
+        return this.createProfileWindow();
       }
 
-      this.token = doc.token;
-      this.bot = new this.eris(this.token);
-      this.bindBot();
-      this.bot.connect().then(() => {
-        if (!this.mainWindow) {
-          this.createWindow();
-        }
-      }).catch(err => console.log(err));
+      this.connect(profile);
     });
   }
 
   /**
-   * Client ready event handler
+   * Unlock the tokens with the passphrase entered at startup
+   * @param  {Object} event      ipc event object
+   * @param  {String} passphrase master passphrase
    */
-  onReady() {
-    console.log("Ready");
-    console.log(this.bot.guilds.size);
-    // load servers
-    this.bot.guilds.forEach(server => {
-      this.createServer(server);
+  unlock(event, passphrase) {
+    this.profiles.unlock(passphrase, err => {
+      if (err) {
+        return event.sender.send('passphrase-error', err.message);
+      }
+
+      // open the next window before closing this one so the app doesn't quit
+      this.loginActive();
+
+      if (this.passphraseWindow) {
+        this.passphraseWindow.close();
+      }
     });
   }
 
   /**
-   * Client error event handler
-   * @param  {Object} err Error
+   * Set, change or remove the master passphrase
+   * @param  {Object} event      ipc event object
+   * @param  {String} passphrase new passphrase, empty to remove it
    */
-  onError(err) {
-    console.error(err);
+  setPassphrase(event, passphrase) {
+    this.profiles.setPassphrase(passphrase || '', err => {
+      if (err) {
+        return event.sender.send('passphrase-error', `Unable to set passphrase: ${err.message}`);
+      }
+
+      if (this.passphraseWindow) {
+        this.passphraseWindow.close();
+      }
+
+      if (this.profileWindow) {
+        this.sendProfiles(this.profileWindow.webContents);
+      }
+    });
   }
 
   /**
-   * Client disconnect event handler
+   * Create the passphrase window
+   * @param  {String} mode unlock at startup, or set a new passphrase
    */
-  onDisconnect() {
-    // retry 3 times
-    if (this.retries >= 3) {
-      this.retries = 0;
-      return this.createTokenWindow();
+  createPassphraseWindow(mode) {
+    if (this.passphraseWindow) {
+      return this.passphraseWindow.focus();
     }
 
-    this.retries++;
-
-    // debug
-    console.log(`Attempting to reconnect... ${this.retries}`);
+    this.passphraseWindow = new BrowserWindow({ width: 450, height: 300 });
+    this.passphraseWindow.loadURL('file://' + __dirname + '/passphrase.html?mode=' + mode);
 
-    // respect reconnect rate limit of 5s
-    setTimeout(function () {
-      this.login();
-    }.bind(this), 5000);
+    this.passphraseWindow.on('closed', () => {
+      this.passphraseWindow = null;
+    });
   }
 
   /**
-   * Save the token for logging in
-   * @param  {Object} event ipc event object
-   * @param  {String} token token entered by the user
+   * Connect the bot with a profile
+   * @param  {Object} profile profile with the bot token
    */
-  saveToken(event, token) {
-    let callback = err => {
-      this.login();
-      if (this.tokenWindow) this.tokenWindow.close();
-    };
+  connect(profile) {
+    this.profile = profile;
+    // the plain text token only lives here, in the main process
+    this.token = this.profiles.token(profile);
+    this.bot = new this.eris(this.token, this.clientOptions(profile));
+    this.bindBot();
+    this.plugins.attach(this.bot);
+    this.setMenu();
+    this.readState.load(profile._id, err => {
+      if (err) console.log(err);
+    });
+    this.notifications.load(profile._id, err => {
+      if (err) console.log(err);
+      this.setMenu();
 
-    this.config.findOne({}, (err, doc) => {
-      if (!doc) {
-        app.config = { token };
-        this.config.insert({ token }, callback);
-      } else {
-        doc.token = token;
-        app.config = doc;
-        this.config.update({ _id: doc._id }, doc, callback);
+      if (this.mainWindow) {
+        this.sendNotificationSettings(this.mainWindow.webContents);
       }
     });
+
+    // open the client straight away so it can show the connection state
+    if (!this.mainWindow) {
+      this.createWindow();
+    }
+
+    this.connection = new Connection(this.bot, this.onConnectionState.bind(this));
+    this.diagnostics = new Diagnostics(this.bot, this.connection);
+    this.roles = new Roles(this.bot, this.eris.Constants.Permissions);
+    this.channels = new Channels(this.bot, this.roles);
+    this.connection.start();
   }
 
   /**
-   * Create the token window
+   * Build the eris client options for a profile
+   * @param  {Object} profile profile with connection options
+   * @return {Object}         eris client options
    */
-  createTokenWindow() {
-    this.tokenWindow = new BrowserWindow({ width: 650, height: 100 });
-    this.tokenWindow.loadURL('file://' + __dirname + '/token.html');
+  clientOptions(profile) {
+    let connection = this.profiles.connection(profile),
+      options = {
+        // reconnects are handled by the connection so they can back off and be shown in the client
+        autoreconnect: false,
+        maxShards: connection.maxShards,
+        getAllUsers: connection.getAllUsers,
+        guildCreateTimeout: connection.guildCreateTimeout,
+        // lets commands like /whois fetch users that aren't cached
+        restMode: true
+      };
 
-    Menu.setApplicationMenu(Menu.buildFromTemplate(appMenu));
+    // leave the rest to eris' defaults when they aren't set
+    if (connection.firstShardID !== null) options.firstShardID = connection.firstShardID;
+    if (connection.lastShardID !== null) options.lastShardID = connection.lastShardID;
+    if (connection.intents) options.intents = connection.intents;
 
-    // Register the event listener to save token
-    ipcMain.on('token', this.saveToken.bind(this));
+    return options;
   }
 
   /**
-   * Create the client window
+   * Disconnect the bot and forget everything registered for it
    */
-  createWindow() {
-    this.mainWindow = new BrowserWindow({ width: 1280, height: 720 });
-    this.mainWindow.loadURL('file://' + __dirname + '/index.html');
+  disconnect() {
+    if (this.connection) {
+      this.connection.stop();
+      this.connection = null;
+      this.diagnostics = null;
+      this.roles = null;
+      this.channels = null;
+    }
 
-    // Open the DevTools.
-    // this.mainWindow.webContents.openDevTools();
+    if (this.bot) {
+      // remove our handlers first so the disconnect doesn't trigger a reconnect
+      this.bot.removeAllListeners();
+      this.bot.disconnect({ reconnect: false });
+      this.bot = null;
+    }
 
-    this.mainWindow.on('closed', () => {
-      this.mainWindow = null;
+    for (let channelId of Object.keys(this.channelListeners)) {
+      ipcMain.removeAllListeners(channelId);
+    }
+
+    for (let id of Object.keys(this.exports)) {
+      this.exports[id].cancel();
+    }
+
+    this.channelListeners = {};
+    this.activeChannel = null;
+    this.unread = {};
+    this.profile = null;
+    this.token = null;
+  }
+
+  /**
+   * Switch to another profile
+   * @param  {String} id profile id
+   */
+  switchProfile(id) {
+    this.profiles.get(id, (err, profile) => {
+      if (err || !profile) {
+        return console.log(err || `Profile ${id} not found`);
+      }
+
+      this.profiles.setActive(id, () => {
+        this.disconnect();
+
+        // start the client fresh for the new bot
+        if (this.mainWindow) {
+          this.mainWindow.reload();
+        }
+
+        this.connect(profile);
+
+        if (this.profileWindow) {
+          this.profileWindow.close();
+        }
+      });
     });
+  }
 
-    // create the client menu
-    Menu.setApplicationMenu(Menu.buildFromTemplate(appMenu));
+  /**
+   * Log out of the active profile and show the profile window
+   */
+  logout() {
+    this.profiles.setActive(null, () => {
+      this.disconnect();
+      this.setMenu();
 
-    app.mainWindow = this.mainWindow;
+      // open the profile window first so closing the client doesn't quit the app
+      this.createProfileWindow();
+      this.sendProfiles(this.profileWindow.webContents);
+
+      if (this.mainWindow) {
+        this.mainWindow.close();
+      }
+    });
   }
 
   /**
-   * Register servers with the client
-   * @param  {Object} server discord.js server resolvable
+   * Remove the active profile after confirming
    */
-  createServer(server) {
-    // clone server to prevent modification of the discord.js servers cache
-    let _server = Object.assign({}, server),
-      _channels = {};
+  removeActiveProfile() {
+    if (!this.profile) {
+      return;
+    }
+
+    let choice = dialog.showMessageBox({
+      type: 'warning',
+      buttons: ['Remove', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Remove the profile "${this.profile.name}"?`,
+      detail: 'The bot token will be deleted from this computer.'
+    });
+
+    if (choice !== 0) {
+      return;
+    }
+
+    this.profiles.remove(this.profile._id, () => this.logout());
+  }
 
-    for (let channel of server.channels) {
-      channel = channel[1];
-      if (channel.type != 0) {
-        continue;
+  /**
+   * Check a token with the api
+   * @param  {String} token bot token
+   * @return {Promise}      resolves with the bot user, rejects with an error to show the user
+   */
+  validateToken(token) {
+    let client = new this.eris(token.indexOf('Bot ') === 0 ? token : `Bot ${token}`, { restMode: true });
+
+    return client.getSelf().catch(err => {
+      if (err.code === 401) {
+        throw new Error('Discord rejected this token. Make sure you copied the bot token, not the client secret.');
       }
 
-      // ignore channels the user doesn't have permissions to read
-      if (!channel.permissionsOf(this.bot.user.id).has("readMessages")) continue;
+      throw new Error(`Unable to check the token with Discord: ${err.message}`);
+    });
+  }
 
-      // clone channel to prevent modification of the eris channels cache
-      _channels[channel.id] = Object.assign({}, channel);
+  /**
+   * Add a profile from the profile window and switch to it
+   * @param  {Object} event   ipc event object
+   * @param  {Object} profile profile name and token entered by the user
+   */
+  addProfile(event, profile) {
+    let token = (profile.token || '').trim();
 
-      // register an ipc listener for this channel
-      ipcMain.on(channel.id, this.sendCommand.bind(this, _channels[channel.id]));
+    if (!token) {
+      return event.sender.send('profile-error', 'Enter a bot token.');
     }
 
-    _server.channels = _channels;
+    this.validateToken(token)
+      .then(user => {
+        let _profile = {
+          name: (profile.name || '').trim() || user.username,
+          token: token,
+          userId: user.id,
+          username: `${user.username}#${user.discriminator}`
+        };
 
-    // send the server create event to the client
-    this.mainWindow.webContents.send('server-create', _server);
+        this.profiles.save(_profile, (err, saved) => {
+          if (err) {
+            return event.sender.send('profile-error', `Unable to save profile: ${err.message}`);
+          }
+
+          this.switchProfile(saved._id);
+        });
+      })
+      .catch(err => event.sender.send('profile-error', err.message));
   }
 
   /**
-   * Handle the serverDeleted event
-   * @param  {Object} server discord.js server resolvable
+   * Remove a profile from the profile window
+   * @param  {Object} event ipc event object
+   * @param  {String} id    profile id
    */
-  deleteServer(server) {
-    // send the server delete event to the client
-    this.mainWindow.webContents.send('server-delete', server);
+  removeProfile(event, id) {
+    this.profiles.remove(id, () => {
+      if (this.profile && this.profile._id === id) {
+        return this.logout();
+      }
+
+      this.sendProfiles(event.sender);
+      this.setMenu();
+    });
   }
 
   /**
-   * Handle the channelCreated event
-   * @param  {Object} channel discord.js channel resolvable
+   * Send a profile's connection options to the profile window
+   * @param  {Object} event ipc event object
+   * @param  {String} id    profile id
    */
-  createChannel(channel) {
-    // send the server update event that will update channels and handle positioning, etc
-    this.mainWindow.webContents.send('server-update', channel.server);
-    // register an ipc listener for this channel
-    ipcMain.on(channel.id, this.sendCommand.bind(this, _channels[channel.id]));
+  sendProfileConnection(event, id) {
+    this.profiles.get(id, (err, profile) => {
+      if (err || !profile) {
+        return event.sender.send('profile-error', 'Profile not found.');
+      }
+
+      let intents = this.eris.Constants.Intents,
+        values = [];
+
+      event.sender.send('profile-connection', {
+        id: id,
+        connection: this.profiles.connection(profile),
+        // combined intents start with all, and some intents have more than one name
+        intents: Object.keys(intents).filter(name => {
+          if (/^all/.test(name) || values.indexOf(intents[name]) !== -1) return false;
+          values.push(intents[name]);
+          return true;
+        })
+      });
+    });
   }
 
   /**
-   * Handle the channelDeleted event
-   * @param  {Object} channel discord.js channel resolvable
+   * Save a profile's connection options, reconnecting if it's the active profile
+   * @param  {Object} event ipc event object
+   * @param  {Object} data  profile id and connection options
    */
-  deleteChannel(channel) {
-    this.mainWindow.webContents.send('server-update', channel.server);
+  saveProfileConnection(event, data) {
+    this.profiles.setConnection(data.id, data.connection, err => {
+      if (err) {
+        return event.sender.send('profile-error', err.message);
+      }
+
+      if (this.profile && this.profile._id === data.id) {
+        return this.switchProfile(data.id);
+      }
+
+      event.sender.send('profile-connection-saved', data.id);
+    });
   }
 
   /**
-   * Utility method to format message objects
-   * This should return an object with no circular references.
-   * 
-   * @param  {Object} message discord.js message resovable
-   * @return {Object}         the message object to send to the client.
+   * Send the list of profiles to a window, tokens stay in the main process
+   * @param  {Object} sender webContents to send the list to
    */
-  formatMessage(message) {
-    let msg = Object.assign({}, message);
+  sendProfiles(sender) {
+    this.profiles.list((err, profiles) => {
+      sender.send('profiles', (profiles || []).map(profile => ({
+        _id: profile._id,
+        name: profile.name,
+        username: profile.username,
+        active: !!this.profile && this.profile._id === profile._id
+      })));
+    });
 
-    // we don't need this reference
-    delete msg.client;
+    // without a passphrase the tokens aren't protected, the profile window says so
+    this.profiles.needsPassphrase((err, needed) => sender.send('passphrase-set', !!needed));
+  }
 
-    // format the timestamp for display
-    msg.timestamp = moment.unix(msg.timestamp / 1000).format('hh:mm:ss a');
+  /**
+   * Build the application menu with the current profiles
+   */
+  setMenu() {
+    this.profiles.list((err, profiles) => {
+      Menu.setApplicationMenu(Menu.buildFromTemplate(appMenu(app, {
+        profiles: profiles || [],
+        active: this.profile ? this.profile._id : null,
+        switchProfile: this.switchProfile.bind(this),
+        manageProfiles: this.createProfileWindow.bind(this),
+        logout: this.logout.bind(this),
+        removeProfile: this.removeActiveProfile.bind(this),
+        setPassphrase: this.createPassphraseWindow.bind(this, 'set'),
+        dnd: this.notifications.settings.dnd,
+        setDoNotDisturb: this.setDoNotDisturb.bind(this),
+        diagnostics: this.createDiagnosticsWindow.bind(this),
+        plugins: this.plugins.menuItems(),
+        managePlugins: this.createPluginsWindow.bind(this)
+      })));
+    });
+  }
 
-    if (msg.member) {
-      // map role colors as hex
-      msg.author.roles = msg.member.roles.map(roleID => {
-        // clone role to so there's no reference overwrites
-        let role = msg.channel.guild.roles.get(roleID);
-        let _role = Object.assign({}, role);
-        let roleColourHex = `#${parseInt(role.color.toString(), 16)}`;
-        _role.color = roleColourHex === '#000000' ? '#fefefe' : roleColourHex;
-        return _role;
-      });
-    } else {
-      msg.author.roles = [];
-    }
+  /**
+   * Client ready event handler
+   */
+  onReady() {
+    console.log("Ready");
+    console.log(this.bot.guilds.size);
+    // servers are loaded as each shard becomes ready, load direct messages the client already knows about
+    this.bot.dmChannels.forEach(channel => {
+      this.createPrivateChannel(channel);
+    });
+    this.loadUnread();
+  }
 
-    // we only need the channel id, and the object contains circular references
-    msg.channel = msg.channel.id;
+  /**
+   * Shard ready event handler, loads the servers on the shard
+   * Shards become ready one at a time, large bots can take a while to get them all.
+   * @param  {Number} id shard id
+   */
+  onShardReady(id) {
+    this.bot.guilds.forEach(server => {
+      if (server.shard && server.shard.id === id) {
+        this.createServer(server);
+      }
+    });
 
-    // pick the keys we need and don't return circular references
-    msg.author = {
-      id: msg.author.id,
-      username: msg.author.username,
-      discriminator: msg.author.discriminator,
-      avatar: msg.author.avatar,
-      roles: msg.author.roles
-    };
+    this.sendShardStatus();
+  }
 
-    return msg;
+  /**
+   * Send the readiness of each shard to the client
+   * @param  {Object} sender webContents to send the status to, defaults to the client window
+   */
+  sendShardStatus(sender) {
+    sender = sender || (this.mainWindow && this.mainWindow.webContents);
+
+    if (!sender || !this.bot) return;
+
+    sender.send('shard-status', this.bot.shards.map(shard => ({
+      id: shard.id,
+      ready: shard.ready,
+      status: shard.status
+    })));
   }
 
   /**
-   * Activate a channel and get channel logs
-   * @param  {Object} event   ipc event object
-   * @param  {Object} channel channel object
+   * Find channels with messages newer than the last read message and send them to the client
    */
-  activateChannel(event, channel) {
-    this.activeChannel = channel;
-    // get last 50 messages for this channel
-    this.bot.getMessages(channel.id, 50)
-      .then(messages => {
-        // format the messages so they can be sent through ipc without circular references
-        let _messages = messages.map(this.formatMessage);
-        event.sender.send(channel.id, _messages.reverse());
-      })
-      .catch(err => {
-        console.log(err);
-      });
+  loadUnread() {
+    let check = channel => {
+      if (this.readState.isUnread(channel.id, channel.lastMessageID) && !this.unread[channel.id]) {
+        // we can't know about mentions in messages sent while the client was closed
+        this.unread[channel.id] = { mentions: 0 };
+      }
+    };
+
+    this.bot.guilds.forEach(guild => guild.channels.forEach(check));
+    this.bot.dmChannels.forEach(check);
+
+    this.mainWindow.webContents.send('unread-state', this.unread);
   }
 
   /**
-   * Bot message event handler
-   * @param  {Object} msg discord.js message resolvable
+   * Track unread messages and mentions for channels that aren't active
+   * @param  {Object} msg eris message
    */
-  onMessage(msg) {
-    // ignore if client hasn't loaded yet
-    if (!this.mainWindow) return;
-    
-    // ignore messages messages not in the active channel
-    if (this.activeChannel && this.activeChannel.id !== msg.channel.id) {
+  trackUnread(msg) {
+    let channelId = msg.channel.id;
+
+    // the active channel, and messages the bot sent, are read already
+    if ((this.activeChannel && this.activeChannel.id === channelId) || msg.author.id === this.bot.user.id) {
+      this.readState.markRead(channelId, msg.id);
       return;
     }
 
-    msg = this.formatMessage(msg);
-    this.mainWindow.webContents.send(msg.channel, msg);
+    let state = this.unread[channelId] || (this.unread[channelId] = { mentions: 0 });
+
+    if (this.mentionsBot(msg)) {
+      state.mentions++;
+    }
+
+    this.mainWindow.webContents.send('unread-update', channelId, state);
   }
 
   /**
-   * Send commands from the client to discord
-   * @param  {Object} channel channel object
-   * @param  {Object} event   ipc event
-   * @param  {Object} cmd     command data
-   * @return {[type]}         [description]
+   * Mark a channel as read up to its newest message
+   * @param  {String} channelId channel id
    */
-  sendCommand(channel, event, cmd) {
-    if (!cmd || !cmd.type) {
-      return;
+  markRead(channelId) {
+    let channel = this.bot.getChannel(channelId);
+
+    if (channel) {
+      this.readState.markRead(channelId, channel.lastMessageID);
     }
 
-    switch (cmd.type) {
-      // send message to discord
-      case 'message':
-        this.bot.createMessage(channel.id, cmd.message);
-        break;
-      // send typing status, see caution on the client-side
-      case 'typing':
-        if (cmd.action === 'start') {
-          this.bot.guilds.get(this.bot.channelGuildMap[cmd.channel.id]).channels.get(cmd.channel.id).sendTyping();
-        }
-        break;
-      // idk why this is duplicated
-      default:
-        this.bot.createMessage(channel.id, cmd.message);
-        break;
+    delete this.unread[channelId];
+
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('unread-update', channelId, null);
     }
   }
+
+  /**
+   * Mark every channel in a server as read
+   * @param  {String} serverId guild id
+   */
+  markServerRead(serverId) {
+    let guild = this.bot.guilds.get(serverId);
+
+    if (guild) {
+      guild.channels.forEach(channel => this.markRead(channel.id));
+    }
+  }
+
+  /**
+   * Show a desktop notification for a message if the notification rules allow it
+   * @param  {Object} msg eris message
+   */
+  notify(msg) {
+    let channel = msg.channel,
+      guild = channel.guild,
+      active = this.activeChannel && this.activeChannel.id === channel.id;
+
+    // the bot's own messages, and messages the user is looking at, don't notify
+    if (msg.author.id === this.bot.user.id || (active && this.mainWindow.isFocused())) {
+      return;
+    }
+
+    let content = msg.cleanContent || msg.content || '';
+
+    let notify = this.notifications.shouldNotify({
+      channelId: channel.id,
+      guildId: guild ? guild.id : null,
+      mentioned: this.mentionsBot(msg),
+      content: content
+    });
+
+    if (!notify) {
+      return;
+    }
+
+    if (!content && msg.attachments && msg.attachments.length) {
+      content = `Sent ${msg.attachments.length === 1 ? 'a file' : `${msg.attachments.length} files`}`;
+    }
+
+    this.mainWindow.webContents.send('notify', {
+      title: guild ? `#${channel.name} (${guild.name})` : msg.author.username,
+      body: guild ? `${msg.author.username}: ${content}` : content,
+      icon: msg.author.avatar ? `https://cdn.discordapp.com/avatars/${msg.author.id}/${msg.author.avatar}.png` : null,
+      channel: channel.id,
+      server: guild ? guild.id : null
+    });
+  }
+
+  /**
+   * Send the notification rules to a window
+   * @param  {Object} sender webContents to send the rules to
+   */
+  sendNotificationSettings(sender) {
+    sender.send('notification-settings', this.notifications.settings);
+  }
+
+  /**
+   * Save the notification rules and let the client know they changed
+   */
+  saveNotifications() {
+    this.notifications.save(err => {
+      if (err) console.log(err);
+    });
+
+    if (this.mainWindow) {
+      this.sendNotificationSettings(this.mainWindow.webContents);
+    }
+  }
+
+  /**
+   * Set the notification rule for a server or channel
+   * @param  {Object} rule scope (server or channel), id and mode (all, mentions, none or default)
+   */
+  setNotificationRule(rule) {
+    this.notifications.setRule(rule.scope, rule.id, rule.mode);
+    this.saveNotifications();
+  }
+
+  /**
+   * Set the keywords that notify in channels that only notify for mentions
+   * @param  {Array} keywords keywords
+   */
+  setNotificationKeywords(keywords) {
+    this.notifications.setKeywords(keywords);
+    this.saveNotifications();
+  }
+
+  /**
+   * Turn do not disturb on or off
+   * @param  {Boolean} dnd do not disturb
+   */
+  setDoNotDisturb(dnd) {
+    this.notifications.setDoNotDisturb(dnd);
+    this.saveNotifications();
+    this.setMenu();
+  }
+
+  /**
+   * Client error event handler
+   * @param  {Object} err Error
+   */
+  onError(err) {
+    console.error(err);
+  }
+
+  /**
+   * Connection state handler, shows the state in the client
+   * @param  {Object} state state, attempt, time of the next retry and the last error
+   */
+  onConnectionState(state) {
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('connection-state', state);
+    }
+
+    // only a rejected token or connection options stop the retries, let the user fix the profile
+    if (state.state === 'rejected') {
+      console.log(`Connection rejected: ${state.error}`);
+      this.createProfileWindow();
+    }
+  }
+
+  /**
+   * Create the profile window
+   */
+  createProfileWindow() {
+    if (this.profileWindow) {
+      return this.profileWindow.focus();
+    }
+
+    this.profileWindow = new BrowserWindow({ width: 500, height: 450 });
+    this.profileWindow.loadURL('file://' + __dirname + '/profiles.html');
+
+    this.profileWindow.on('closed', () => {
+      this.profileWindow = null;
+    });
+
+    this.setMenu();
+  }
+
+  /**
+   * Create the diagnostics window, it's sent new statistics every second while it's open
+   */
+  createDiagnosticsWindow() {
+    if (this.diagnosticsWindow) {
+      return this.diagnosticsWindow.focus();
+    }
+
+    this.diagnosticsWindow = new BrowserWindow({ width: 700, height: 700 });
+    this.diagnosticsWindow.loadURL('file://' + __dirname + '/diagnostics.html');
+
+    let timer = setInterval(() => this.sendDiagnostics(this.diagnosticsWindow.webContents), 1000);
+
+    this.diagnosticsWindow.on('closed', () => {
+      clearInterval(timer);
+      this.diagnosticsWindow = null;
+    });
+  }
+
+  /**
+   * Send connection and cache statistics to a window
+   * @param  {Object} sender webContents to send the statistics to
+   */
+  sendDiagnostics(sender) {
+    if (this.diagnostics) {
+      sender.send('diagnostics', this.diagnostics.snapshot());
+    }
+  }
+
+  /**
+   * Create the plugin manager window
+   */
+  createPluginsWindow() {
+    if (this.pluginsWindow) {
+      return this.pluginsWindow.focus();
+    }
+
+    this.pluginsWindow = new BrowserWindow({ width: 700, height: 600 });
+    this.pluginsWindow.loadURL('file://' + __dirname + '/plugins.html');
+
+    this.pluginsWindow.on('closed', () => {
+      this.pluginsWindow = null;
+    });
+  }
+
+  /**
+   * Send the plugins and the folder they're loaded from to a window
+   * @param  {Object} sender webContents to send the plugins to
+   */
+  sendPlugins(sender) {
+    sender.send('plugins', { directory: this.plugins.directory, plugins: this.plugins.list() });
+  }
+
+  /**
+   * Enable or disable a plugin from the plugin manager
+   * @param  {Object}  event   ipc event object
+   * @param  {String}  file    plugin file name
+   * @param  {Boolean} enabled whether the plugin should run
+   */
+  setPluginEnabled(event, file, enabled) {
+    this.plugins.setEnabled(file, enabled, err => {
+      if (err) console.log(err);
+    });
+  }
+
+  /**
+   * Plugin change handler, updates the plugin manager and the plugins menu
+   * @param  {Boolean} menu whether menu items may have changed
+   */
+  onPluginsChange(menu) {
+    if (menu) {
+      this.setMenu();
+    }
+
+    if (this.pluginsWindow) {
+      this.sendPlugins(this.pluginsWindow.webContents);
+    }
+  }
+
+  /**
+   * Create the client window
+   */
+  createWindow() {
+    this.mainWindow = new BrowserWindow({ width: 1280, height: 720 });
+    this.mainWindow.loadURL('file://' + __dirname + '/index.html');
+
+    // Open the DevTools.
+    // this.mainWindow.webContents.openDevTools();
+
+    this.mainWindow.on('closed', () => {
+      this.mainWindow = null;
+    });
+
+    // create the client menu
+    this.setMenu();
+
+    app.mainWindow = this.mainWindow;
+  }
+
+  /**
+   * Register servers with the client
+   * @param  {Object} server discord.js server resolvable
+   */
+  createServer(server) {
+    // send the server create event to the client
+    this.mainWindow.webContents.send('server-create', this.formatServer(server));
+  }
+
+  /**
+   * Send a server's channels to the client again after they change
+   * @param  {Object} server eris guild
+   */
+  updateServer(server) {
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('server-update', this.formatServer(server));
+  }
+
+  /**
+   * Format a server and the channels the bot can see for the client
+   * @param  {Object} server eris guild
+   * @return {Object}        server with its channels in categories, in the order of discord's sidebar
+   */
+  formatServer(server) {
+    // clone server to prevent modification of the eris servers cache
+    let _server = Object.assign({}, server),
+      readable = channel => channel.permissionsOf(this.bot.user.id).has("readMessages");
+
+    // ignore channels the user doesn't have permissions to read, threads and forums
+    let channels = server.channels.filter(channel => Channels.TYPES[channel.type] && channel.type !== 4 && readable(channel));
+
+    // categories are shown if they can be read or have channels that can be
+    let categories = server.channels.filter(channel => channel.type === 4 &&
+      (readable(channel) || channels.some(child => child.parentID === channel.id)));
+
+    _server.categories = Channels.layout(channels.concat(categories)).map(section => ({
+      id: section.category ? section.category.id : null,
+      name: section.category ? section.category.name : null,
+      channels: section.channels.map(channel => this.formatChannel(channel))
+    }));
+
+    delete _server.channels;
+
+    return _server;
+  }
+
+  /**
+   * Format a server channel for the sidebar
+   * Text and announcement channels can be opened, voice and stage channels list who's connected.
+   * @param  {Object} channel eris guild channel
+   * @return {Object}         channel
+   */
+  formatChannel(channel) {
+    let voice = channel.type === 2 || channel.type === 13,
+      _channel = {
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        position: channel.position,
+        parentID: channel.parentID || null,
+        topic: channel.topic || null,
+        nsfw: !!channel.nsfw,
+        textable: !voice,
+        voiceMembers: voice ? this.formatVoiceMembers(channel) : null
+      };
+
+    // register an ipc listener for this channel
+    if (_channel.textable) {
+      this.registerChannel(_channel);
+    }
+
+    return _channel;
+  }
+
+  /**
+   * Format the members connected to a voice or stage channel
+   * @param  {Object} channel eris voice channel
+   * @return {Array}          members by name, with their mute, deafen and video states
+   */
+  formatVoiceMembers(channel) {
+    return channel.voiceMembers
+      .map(member => {
+        let state = member.voiceState;
+
+        return {
+          id: member.id,
+          name: member.nick || member.username,
+          mute: state.mute || state.selfMute,
+          deaf: state.deaf || state.selfDeaf,
+          video: state.selfVideo || state.selfStream,
+          // stage audience members are suppressed
+          speaker: channel.type !== 13 || !state.suppress
+        };
+      })
+      .sort((a, b) => a.name.toLowerCase() < b.name.toLowerCase() ? -1 : 1);
+  }
+
+  /**
+   * Voice join, leave, switch and state handler, sends the members of the channels to the client
+   * @param  {Array} channels eris voice channels whose members changed
+   */
+  updateVoice(channels) {
+    if (!this.mainWindow) return;
+
+    for (let channel of channels) {
+      if (channel && channel.guild) {
+        this.mainWindow.webContents.send('voice-update', {
+          server: channel.guild.id,
+          channel: channel.id,
+          members: this.formatVoiceMembers(channel)
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle the serverDeleted event
+   * @param  {Object} server discord.js server resolvable
+   */
+  deleteServer(server) {
+    // send the server delete event to the client
+    this.mainWindow.webContents.send('server-delete', server);
+  }
+
+  /**
+   * Handle the channelCreated event
+   * @param  {Object} channel discord.js channel resolvable
+   */
+  createChannel(channel) {
+    if (!channel.guild) {
+      return this.createPrivateChannel(channel);
+    }
+
+    // send the server update event that will update channels and handle positioning, etc
+    this.updateServer(channel.guild);
+  }
+
+  /**
+   * Handle the channelDeleted event
+   * @param  {Object} channel discord.js channel resolvable
+   */
+  deleteChannel(channel) {
+    if (channel.guild) {
+      this.updateServer(channel.guild);
+    }
+  }
+
+  /**
+   * Handle the channelUpdate event, renames, topics, positions and overwrites
+   * @param  {Object} channel eris channel
+   */
+  updateChannel(channel) {
+    if (channel.guild) {
+      this.updateServer(channel.guild);
+    }
+  }
+
+  /**
+   * Register an ipc listener for commands sent to a channel from the client
+   * @param  {Object} channel channel object
+   */
+  registerChannel(channel) {
+    if (this.channelListeners[channel.id]) {
+      return;
+    }
+
+    this.channelListeners[channel.id] = true;
+    ipcMain.on(channel.id, this.sendCommand.bind(this, { id: channel.id }));
+  }
+
+  /**
+   * Register a direct message or group channel with the client
+   * @param  {Object}  channel  eris private channel
+   * @param  {Boolean} activate open the channel in the client
+   */
+  createPrivateChannel(channel, activate) {
+    if (!this.mainWindow) return;
+
+    this.registerChannel(channel);
+    this.mainWindow.webContents.send('private-channel-create', this.formatPrivateChannel(channel), !!activate);
+  }
+
+  /**
+   * Open a direct message channel with a user
+   * @param  {Object} event  ipc event object
+   * @param  {String} userId id of the user to message
+   */
+  openPrivateChannel(event, userId) {
+    this.bot.getDMChannel(userId)
+      .then(channel => this.createPrivateChannel(channel, true))
+      .catch(err => {
+        console.log(err);
+        event.sender.send('private-channel-error', `Unable to message ${userId}: ${err.message}`);
+      });
+  }
+
+  /**
+   * Utility method to format private channel objects
+   * @param  {Object} channel eris private channel
+   * @return {Object}         the channel object to send to the client
+   */
+  formatPrivateChannel(channel) {
+    let recipients = channel.recipients ? Array.from(channel.recipients.values()) : [];
+
+    recipients = recipients.map(user => ({
+      id: user.id,
+      username: user.username,
+      discriminator: user.discriminator,
+      avatar: user.avatar
+    }));
+
+    return {
+      id: channel.id,
+      type: channel.type,
+      private: true,
+      // group channels can be named, direct messages are named after the recipient
+      name: channel.name || recipients.map(user => `${user.username}#${user.discriminator}`).join(', '),
+      recipients: recipients
+    };
+  }
+
+  /**
+   * Utility method to format message objects
+   * This should return an object with no circular references.
+   * 
+   * @param  {Object} message discord.js message resovable
+   * @return {Object}         the message object to send to the client.
+   */
+  formatMessage(message) {
+    let msg = Object.assign({}, message);
+
+    // we don't need this reference
+    delete msg.client;
+
+    // format the timestamp for display, keeping the full time for exports
+    msg.createdAt = moment(message.timestamp).toISOString();
+    msg.timestamp = moment.unix(msg.timestamp / 1000).format('hh:mm:ss a');
+
+    if (msg.editedTimestamp) {
+      msg.editedAt = moment(msg.editedTimestamp).format('MMM D YYYY hh:mm:ss a');
+    }
+
+    if (msg.member) {
+      // map role colors as hex
+      msg.author.roles = msg.member.roles.map(roleID => {
+        // clone role to so there's no reference overwrites
+        let role = msg.channel.guild.roles.get(roleID);
+        let _role = Object.assign({}, role);
+        let roleColourHex = colorToHex(role.color);
+        _role.color = roleColourHex === '#000000' ? '#fefefe' : roleColourHex;
+        return _role;
+      });
+    } else {
+      msg.author.roles = [];
+    }
+
+    // flag messages sent by the bot so the client can edit/delete them
+    msg.self = msg.author.id === this.bot.user.id;
+
+    // announcements can be published to the servers following the channel once,
+    // the bot can publish its own and, with Manage Messages, anyone's
+    msg.crosspostable = msg.channel.type === 5 && !(message.flags & this.eris.Constants.MessageFlags.CROSSPOSTED) &&
+      (msg.self || msg.channel.permissionsOf(this.bot.user.id).has('manageMessages'));
+
+    // we only need the channel id, and the object contains circular references
+    msg.channel = msg.channel.id;
+
+    // names and colours for the mentions in the content, and whether the bot is one of them
+    msg.mentionData = this.resolveMentions(message);
+    msg.mentioned = this.mentionsBot(message);
+    msg.mentions = (message.mentions || []).map(user => user.id);
+    delete msg.member;
+
+    // reactions are keyed by emoji, the client needs a list
+    msg.reactions = Object.keys(message.reactions || {}).map(key => {
+      let parts = key.split(':');
+      return {
+        emoji: this.formatEmoji({ name: parts[0], id: parts[1] }),
+        count: message.reactions[key].count,
+        me: message.reactions[key].me
+      };
+    });
+
+    // pick the keys we need and don't return circular references
+    msg.author = {
+      id: msg.author.id,
+      username: msg.author.username,
+      discriminator: msg.author.discriminator,
+      avatar: msg.author.avatar,
+      roles: msg.author.roles
+    };
+
+    // badges and highlights added by plugins
+    msg.decorations = this.plugins.decorate(msg);
+
+    return msg;
+  }
+
+  /**
+   * Resolve the user, role and channel mentions in a message's content
+   * @param  {Object} message eris message
+   * @return {Object}         users, roles and channels keyed by id
+   */
+  resolveMentions(message) {
+    let guild = message.channel.guild,
+      content = message.content || '',
+      data = { users: {}, roles: {}, channels: {} },
+      pattern = /<(@!?|@&|#)(\d+)>/g,
+      match;
+
+    while ((match = pattern.exec(content))) {
+      let id = match[2];
+
+      if (match[1] === '#') {
+        let channel = this.bot.getChannel(id);
+        if (channel && channel.name) {
+          data.channels[id] = { name: channel.name, guild: channel.guild ? channel.guild.id : null };
+        }
+      } else if (match[1] === '@&') {
+        let role = guild && guild.roles.get(id);
+        if (role) {
+          data.roles[id] = { name: role.name, color: role.color ? colorToHex(role.color) : null };
+        }
+      } else {
+        let member = guild && guild.members.get(id),
+          user = member ? member.user : (message.mentions || []).find(user => user.id === id) || this.bot.users.get(id);
+        if (user) {
+          data.users[id] = { name: (member && member.nick) || user.username };
+        }
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Check if a message mentions the bot, one of its roles or everyone
+   * @param  {Object} message eris message
+   * @return {Boolean}
+   */
+  mentionsBot(message) {
+    let userId = this.bot.user.id,
+      guild = message.channel.guild,
+      member = guild && guild.members.get(userId);
+
+    if (message.mentionEveryone || (message.mentions || []).some(user => user.id === userId)) {
+      return true;
+    }
+
+    return !!member && (message.roleMentions || []).some(roleId => member.roles.indexOf(roleId) !== -1);
+  }
+
+  /**
+   * Utility method to format reaction emoji objects
+   * @param  {Object} emoji emoji object, custom emoji have an id
+   * @return {Object}       the emoji object to send to the client
+   */
+  formatEmoji(emoji) {
+    return {
+      // the reaction format the api expects, unicode emoji or name:id for custom emoji
+      key: emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name,
+      name: emoji.name,
+      id: emoji.id || null,
+      url: emoji.id ? `https://cdn.discordapp.com/emojis/${emoji.id}.${emoji.animated ? 'gif' : 'png'}` : null
+    };
+  }
+
+  /**
+   * Activate a channel and get channel logs
+   * @param  {Object} event   ipc event object
+   * @param  {Object} channel channel object
+   * @param  {String} around  id of a message to load the page around, omit for the latest page
+   */
+  activateChannel(event, channel, around) {
+    this.activeChannel = channel;
+    this.markRead(channel.id);
+
+    if (around) {
+      return this.loadMessages(event, channel, null, around);
+    }
+
+    // get the latest page of messages for this channel
+    this.loadMessages(event, channel);
+  }
+
+  /**
+   * Get a page of channel logs and send it to the client
+   * @param  {Object} event   ipc event object
+   * @param  {Object} channel channel object
+   * @param  {String} before  id of the oldest message the client has, omit for the latest page
+   * @param  {String} around  id of a message to get the page around instead
+   */
+  loadMessages(event, channel, before, around) {
+    let page = {
+      channel: channel.id,
+      before: before || null,
+      around: around || null,
+      messages: [],
+      complete: false
+    };
+
+    this.bot.getMessages(channel.id, { limit: PAGE_SIZE, before: before || undefined, around: around || undefined })
+      .then(messages => {
+        messages.forEach(msg => this.archive.add(msg));
+
+        // format the messages so they can be sent through ipc without circular references
+        page.messages = messages.map(msg => this.formatMessage(msg)).reverse();
+        // a short page means there is nothing older left to fetch
+        page.complete = !around && messages.length < PAGE_SIZE;
+        event.sender.send('channel-history', page);
+      })
+      .catch(err => {
+        console.log(err);
+        // let the client know so it can clear the loading marker
+        page.error = err.message;
+        event.sender.send('channel-history', page);
+      });
+  }
+
+  /**
+   * Find composer autocomplete suggestions for the client
+   * @param  {Object} event   ipc event object
+   * @param  {Object} request request id, channel id, trigger character and query
+   */
+  autocomplete(event, request) {
+    let channel = this.bot.getChannel(request.channel);
+
+    event.sender.send('autocomplete', {
+      id: request.id,
+      items: autocomplete.suggest(channel, request.trigger, request.query)
+    });
+  }
+
+  /**
+   * Save the archive settings from the client
+   * @param  {Object} event    ipc event object
+   * @param  {Object} settings whether the archive is enabled and the retention in days
+   */
+  setArchiveSettings(event, settings) {
+    this.archive.saveSettings(settings, err => {
+      if (err) console.log(err);
+      event.sender.send('archive-settings', this.archive.settings);
+    });
+  }
+
+  /**
+   * Search the message archive for the client
+   * @param  {Object} event ipc event object
+   * @param  {Object} query request id and search filters
+   */
+  searchArchive(event, query) {
+    this.archive.search(query)
+      .then(results => event.sender.send('archive-results', { id: query.id, results: results }))
+      .catch(err => {
+        console.log(err);
+        event.sender.send('archive-results', { id: query.id, results: [], error: err.message });
+      });
+  }
+
+  /**
+   * Export a channel's history to a file chosen by the user
+   * @param  {Object} event   ipc event object
+   * @param  {Object} request export id, channel id, format, and optional from and to times
+   */
+  exportChannel(event, request) {
+    let channel = this.bot.getChannel(request.channel),
+      format = EXPORT_FORMATS[request.format] ? request.format : 'json',
+      send = progress => event.sender.send('export-progress', Object.assign({ id: request.id }, progress));
+
+    if (!channel) {
+      return send({ state: 'error', error: 'Channel not found' });
+    }
+
+    let info = {
+      id: channel.id,
+      name: channel.guild ? channel.name : this.formatPrivateChannel(channel).name,
+      private: !channel.guild,
+      guild: channel.guild ? { id: channel.guild.id, name: channel.guild.name } : null,
+      from: request.from || null,
+      to: request.to || null
+    };
+
+    dialog.showSaveDialog(this.mainWindow, {
+      title: 'Export channel',
+      defaultPath: `${info.name.replace(/[^\w.-]+/g, '_')}.${format}`,
+      filters: [{ name: EXPORT_FORMATS[format], extensions: [format] }]
+    }, filename => {
+      if (!filename) {
+        return send({ state: 'cancelled' });
+      }
+
+      let job = new exporter.ChannelExport(this.bot, channel.id, request, msg => this.formatMessage(msg));
+      this.exports[request.id] = job;
+
+      job.run(send)
+        .then(messages => {
+          delete this.exports[request.id];
+          send({ state: 'writing', count: messages.length });
+
+          fs.writeFile(filename, exporter.render(format, info, messages), err => {
+            if (err) return send({ state: 'error', error: err.message });
+            send({ state: 'done', count: messages.length, path: filename });
+          });
+        })
+        .catch(err => {
+          delete this.exports[request.id];
+
+          if (job.cancelled) {
+            return send({ state: 'cancelled' });
+          }
+
+          console.log(err);
+          send({ state: 'error', error: err.message });
+        });
+    });
+  }
+
+  /**
+   * Bot message event handler
+   * @param  {Object} msg discord.js message resolvable
+   */
+  onMessage(msg) {
+    // ignore if client hasn't loaded yet
+    if (!this.mainWindow) return;
+
+    // make sure the client knows about direct message channels
+    if (!msg.guildID) {
+      this.onPrivateMessage(msg);
+    }
+
+    this.trackUnread(msg);
+    this.notify(msg);
+    this.archive.add(msg);
+
+    // ignore messages messages not in the active channel
+    if (this.activeChannel && this.activeChannel.id !== msg.channel.id) {
+      return;
+    }
+
+    msg = this.formatMessage(msg);
+    this.mainWindow.webContents.send(msg.channel, msg);
+  }
+
+  /**
+   * Bot message update event handler
+   * @param  {Object} msg        eris message
+   * @param  {Object} oldMessage old message data, null if the message wasn't cached
+   */
+  onMessageUpdate(msg, oldMessage) {
+    if (!this.mainWindow) return;
+
+    // partial updates for uncached messages don't have enough data to display
+    if (!(msg instanceof this.eris.Message)) return;
+
+    this.archive.add(msg);
+    this.mainWindow.webContents.send('message-update', this.formatMessage(msg));
+  }
+
+  /**
+   * Bot message delete event handler
+   * @param  {Object} msg eris message or partial message with id and channel
+   */
+  onMessageDelete(msg) {
+    this.archive.markDeleted(this.bot.channelGuildMap[msg.channel.id], [msg.id]);
+
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('message-delete', {
+      channel: msg.channel.id,
+      ids: [msg.id]
+    });
+  }
+
+  /**
+   * Bot bulk message delete event handler
+   * @param  {Array} messages eris messages or partial messages with id and channel
+   */
+  onMessageDeleteBulk(messages) {
+    if (!messages.length) return;
+
+    this.archive.markDeleted(this.bot.channelGuildMap[messages[0].channel.id], messages.map(msg => msg.id));
+
+    if (!this.mainWindow) return;
+
+    // bulk deletes always happen in a single channel
+    this.mainWindow.webContents.send('message-delete', {
+      channel: messages[0].channel.id,
+      ids: messages.map(msg => msg.id)
+    });
+  }
+
+  /**
+   * Bot reaction add event handler
+   * @param  {Object} msg     eris message or partial message with id and channel
+   * @param  {Object} emoji   reaction emoji
+   * @param  {Object} reactor member or object with the id of the user that reacted
+   */
+  onReactionAdd(msg, emoji, reactor) {
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('reaction-add', {
+      channel: msg.channel.id,
+      message: msg.id,
+      emoji: this.formatEmoji(emoji),
+      self: reactor.id === this.bot.user.id
+    });
+  }
+
+  /**
+   * Bot reaction remove event handler
+   * @param  {Object} msg    eris message or partial message with id and channel
+   * @param  {Object} emoji  reaction emoji
+   * @param  {String} userID id of the user that removed the reaction
+   */
+  onReactionRemove(msg, emoji, userID) {
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('reaction-remove', {
+      channel: msg.channel.id,
+      message: msg.id,
+      emoji: this.formatEmoji(emoji),
+      self: userID === this.bot.user.id
+    });
+  }
+
+  /**
+   * Bot remove all reactions event handler
+   * @param  {Object} msg eris message or partial message with id and channel
+   */
+  onReactionRemoveAll(msg) {
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('reaction-clear', {
+      channel: msg.channel.id,
+      message: msg.id
+    });
+  }
+
+  /**
+   * Bot remove all reactions for an emoji event handler
+   * @param  {Object} msg   eris message or partial message with id and channel
+   * @param  {Object} emoji reaction emoji
+   */
+  onReactionRemoveEmoji(msg, emoji) {
+    if (!this.mainWindow) return;
+
+    this.mainWindow.webContents.send('reaction-clear', {
+      channel: msg.channel.id,
+      message: msg.id,
+      emoji: this.formatEmoji(emoji)
+    });
+  }
+
+  /**
+   * Register the channel of a direct message with the client
+   * @param  {Object} msg eris message
+   */
+  onPrivateMessage(msg) {
+    if (this.channelListeners[msg.channel.id]) {
+      return;
+    }
+
+    let channel = this.bot.getChannel(msg.channel.id);
+
+    if (channel) {
+      return this.createPrivateChannel(channel);
+    }
+
+    // uncached direct message, the author is the recipient
+    this.bot.getDMChannel(msg.author.id)
+      .then(channel => this.createPrivateChannel(channel))
+      .catch(err => console.log(err));
+  }
+
+  /**
+   * Send commands from the client to discord
+   * @param  {Object} channel channel object
+   * @param  {Object} event   ipc event
+   * @param  {Object} cmd     command data
+   */
+  sendCommand(channel, event, cmd) {
+    if (!cmd || !cmd.type) {
+      return;
+    }
+
+    let onError = this.commandError.bind(this, event, channel, cmd);
+
+    switch (cmd.type) {
+      // send message to discord
+      case 'message':
+        this.bot.createMessage(channel.id, cmd.message).catch(onError);
+        break;
+      // edit one of the bot's messages
+      case 'edit':
+        this.bot.editMessage(channel.id, cmd.id, cmd.message).catch(onError);
+        break;
+      // delete a message
+      case 'delete':
+        this.bot.deleteMessage(channel.id, cmd.id).catch(onError);
+        break;
+      // publish an announcement to the servers following the channel
+      case 'crosspost':
+        this.bot.crosspostMessage(channel.id, cmd.id).catch(onError);
+        break;
+      // react to a message as the bot
+      case 'react':
+        this.bot.addMessageReaction(channel.id, cmd.id, cmd.reaction).catch(onError);
+        break;
+      // remove the bot's reaction from a message
+      case 'unreact':
+        this.bot.removeMessageReaction(channel.id, cmd.id, cmd.reaction).catch(onError);
+        break;
+      // run a slash command typed in the composer
+      case 'command':
+        this.runCommand(channel, event, cmd);
+        break;
+      // send files with an optional caption
+      case 'upload':
+        this.uploadFiles(channel, event, cmd);
+        break;
+      // send typing status, see caution on the client-side
+      case 'typing':
+        if (cmd.action === 'start') {
+          this.bot.sendChannelTyping(channel.id).catch(onError);
+        }
+        break;
+      // idk why this is duplicated
+      default:
+        this.bot.createMessage(channel.id, cmd.message).catch(onError);
+        break;
+    }
+  }
+
+  /**
+   * Run a slash command, the result is shown in the client as a system message
+   * @param  {Object} channel channel object
+   * @param  {Object} event   ipc event
+   * @param  {Object} cmd     command text
+   */
+  runCommand(channel, event, cmd) {
+    commands.run(this.bot, this.bot.getChannel(channel.id), cmd.message)
+      .then(content => {
+        if (content) {
+          event.sender.send('system-message', { channel: channel.id, content: content });
+        }
+      })
+      .catch(err => {
+        event.sender.send('system-message', { channel: channel.id, content: err.message, error: true });
+      });
+  }
+
+  /**
+   * Show the moderation context menu for a user, actions the bot can't take are disabled
+   * Choosing an action asks the client to confirm it.
+   * @param  {Object} event  ipc event
+   * @param  {Object} target channel id and the user's id, username and discriminator
+   */
+  showModerationMenu(event, target) {
+    let channel = this.bot ? this.bot.getChannel(target.channel) : null;
+
+    // there's nothing to moderate in direct messages
+    if (!channel || !channel.guild || !target.user) {
+      return;
+    }
+
+    let name = target.user.username;
+
+    this.moderation.permissions(this.bot, channel, target.user.id).then(allowed => {
+      let template = MODERATION_MENU.map(item => item.type ? item : {
+        label: item.label(name),
+        enabled: allowed[item.action],
+        click: () => event.sender.send('moderation-confirm', {
+          action: item.action,
+          channel: channel.id,
+          channelName: channel.name,
+          guildName: channel.guild.name,
+          user: target.user
+        })
+      });
+
+      Menu.buildFromTemplate(template).popup(BrowserWindow.fromWebContents(event.sender));
+    }).catch(err => {
+      event.sender.send('system-message', { channel: channel.id, content: `Unable to check moderation actions: ${err.message}`, error: true });
+    });
+  }
+
+  /**
+   * Take a confirmed moderation action and tell the client how it went
+   * @param  {Object} event   ipc event
+   * @param  {Object} request request id, action, channel, user, reason and the action's options
+   */
+  moderate(event, request) {
+    if (!this.bot || !this.profile) {
+      return event.sender.send('moderation-result', { id: request.id, error: 'The bot isn\'t connected' });
+    }
+
+    this.moderation.run(this.bot, this.profile._id, request).then(entry => {
+      event.sender.send('moderation-result', Object.assign({ id: request.id }, entry));
+      this.sendModerationLog(event.sender);
+    });
+  }
+
+  /**
+   * Send the moderation log of the active profile to a window
+   * @param  {Object} sender webContents to send the log to
+   */
+  sendModerationLog(sender) {
+    if (!this.profile) {
+      return sender.send('moderation-log', []);
+    }
+
+    this.moderation.log(this.profile._id, (err, entries) => {
+      if (err) console.log(err);
+      sender.send('moderation-log', entries || []);
+    });
+  }
+
+  /**
+   * Send a guild's roles to the role editor
+   * @param  {Object} sender  webContents to send the roles to
+   * @param  {String} guildId guild id
+   */
+  sendRoleEditor(sender, guildId) {
+    try {
+      sender.send('role-editor', this.roles.describe(guildId));
+    } catch (e) {
+      sender.send('role-editor', { guild: { id: guildId }, error: this.roles ? e.message : 'The bot isn\'t connected' });
+    }
+  }
+
+  /**
+   * Change roles from the role editor, the editor is updated by the role events that follow
+   * @param  {Object} event   ipc event
+   * @param  {Object} request request id, guild id, action and its options
+   */
+  editRoles(event, request) {
+    if (!this.roles) {
+      return event.sender.send('role-editor-result', { id: request.id, error: 'The bot isn\'t connected' });
+    }
+
+    new Promise(resolve => resolve(this.roles.update(request)))
+      .then(() => event.sender.send('role-editor-result', { id: request.id }))
+      .catch(err => event.sender.send('role-editor-result', { id: request.id, error: err.message }));
+  }
+
+  /**
+   * Search a guild's members for the role editor
+   * @param  {Object} event   ipc event
+   * @param  {Object} request request id, guild id, name and the role being edited
+   */
+  searchMembers(event, request) {
+    let members = [];
+
+    try {
+      members = this.roles.searchMembers(request.guild, request.query, request.role);
+    } catch (e) {
+      console.log(e);
+    }
+
+    event.sender.send('member-search', { id: request.id, members: members });
+  }
+
+  /**
+   * Role and member update handler, lets the role editor refresh
+   * @param  {Object} guild eris guild
+   */
+  onRolesChanged(guild) {
+    if (this.mainWindow) {
+      this.mainWindow.webContents.send('roles-changed', guild.id);
+    }
+  }
+
+  /**
+   * Send a guild's channels to the channel editor
+   * @param  {Object} sender  webContents to send the channels to
+   * @param  {String} guildId guild id
+   */
+  sendChannelEditor(sender, guildId) {
+    try {
+      sender.send('channel-editor', this.channels.describe(guildId));
+    } catch (e) {
+      sender.send('channel-editor', { guild: { id: guildId }, error: this.channels ? e.message : 'The bot isn\'t connected' });
+    }
+  }
+
+  /**
+   * Change channels from the channel editor, the editor is updated by the server-update that follows
+   * @param  {Object} event   ipc event
+   * @param  {Object} request request id, guild id, action and its options
+   */
+  editChannels(event, request) {
+    if (!this.channels) {
+      return event.sender.send('channel-editor-result', { id: request.id, error: 'The bot isn\'t connected' });
+    }
+
+    new Promise(resolve => resolve(this.channels.update(request)))
+      .then(() => event.sender.send('channel-editor-result', { id: request.id }))
+      .catch(err => event.sender.send('channel-editor-result', { id: request.id, error: err.message }));
+  }
+
+  /**
+   * Send files from the client to a channel, reporting its state to the client
+   * Files are either paths on disk, or base64 data for pasted images, the client is told how
+   * many have been read and then how big the message is while it's sent
+   * @param  {Object} channel channel object
+   * @param  {Object} event   ipc event
+   * @param  {Object} cmd     upload id, caption and files
+   */
+  uploadFiles(channel, event, cmd) {
+    let progress = {
+      channel: channel.id,
+      id: cmd.id,
+      state: 'reading',
+      loaded: 0,
+      total: cmd.files.length
+    };
+
+    let update = state => {
+      progress.state = state;
+      event.sender.send('upload-progress', progress);
+    };
+
+    update('reading');
+
+    Promise.all(cmd.files.map(file => this.readUpload(file).then(upload => {
+      progress.loaded++;
+      update('reading');
+      return upload;
+    })))
+      .then(files => {
+        let size = files.reduce((total, upload) => total + upload.file.length, 0);
+
+        if (size > UPLOAD_LIMIT) {
+          throw new Error(`Files are ${Math.ceil(size / 1024 / 1024)}MB, the limit is ${UPLOAD_LIMIT / 1024 / 1024}MB`);
+        }
+
+        progress.size = size;
+        update('sending');
+        return this.bot.createMessage(channel.id, cmd.caption || '', files);
+      })
+      .then(() => update('done'))
+      .catch(err => {
+        progress.error = err.message;
+        update('error');
+      });
+  }
+
+  /**
+   * Read a file to upload
+   * @param  {Object} file file name, and a path or base64 data
+   * @return {Promise}     resolves with the file in the format eris expects
+   */
+  readUpload(file) {
+    if (file.data) {
+      return Promise.resolve({ name: file.name, file: Buffer.from(file.data, 'base64') });
+    }
+
+    return new Promise((resolve, reject) => {
+      fs.readFile(file.path, (err, data) => {
+        if (err) return reject(err);
+        resolve({ name: file.name || path.basename(file.path), file: data });
+      });
+    });
+  }
+
+  /**
+   * Report a failed channel command back to the client
+   * @param  {Object} event   ipc event
+   * @param  {Object} channel channel object
+   * @param  {Object} cmd     command data
+   * @param  {Object} err     Error
+   */
+  commandError(event, channel, cmd, err) {
+    console.log(err);
+    event.sender.send('command-error', {
+      channel: channel.id,
+      type: cmd.type,
+      message: err.message
+    });
+  }
 }
 
 module.exports = bot => {
@@ -0,0 +1,255 @@
+"use strict";
+
+const Datastore = require('nedb');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// longest timeout discord allows
+const MAX_TIMEOUT = 28 * DAY;
+
+// ban can delete up to a week of the user's messages
+const MAX_DELETE_DAYS = 7;
+
+// most messages a purge will look through
+const MAX_PURGE = 1000;
+
+// log entries sent to the client
+const LOG_LIMIT = 200;
+
+// discord error codes for users that aren't in the guild or aren't banned
+const UNKNOWN_MEMBER = 10007;
+const UNKNOWN_USER = 10013;
+const UNKNOWN_BAN = 10026;
+
+/**
+ * Position of a member's highest role, members can only moderate members below them
+ * @param  {Object} guild  eris guild
+ * @param  {Object} member eris member
+ * @return {Number}        role position, 0 for members without roles
+ */
+function highestRole(guild, member) {
+  return Math.max.apply(null, member.roles.map(id => (guild.roles.get(id) || { position: 0 }).position).concat([0]));
+}
+
+/**
+ * Moderation actions on users and channels, and a local log of them per profile
+ *
+ * Actions are checked against the bot's permissions in the channel they're taken
+ * from, and logged whether they worked or not.
+ */
+class Moderation {
+
+  /**
+   * @param  {String} filename path of the nedb datastore for the log
+   */
+  constructor(filename) {
+    this.db = new Datastore({ filename: filename, autoload: true });
+    this.db.ensureIndex({ fieldName: 'time' });
+  }
+
+  /**
+   * Work out which actions the bot can take on a user from a channel
+   * Members that aren't cached are fetched, and the ban list is only checked for users that aren't members.
+   * @param  {Object}  bot     eris client
+   * @param  {Object}  channel eris guild channel
+   * @param  {String}  userId  id of the user to act on
+   * @return {Promise}         resolves with kick, ban, unban, timeout, purge and purgeUser, true if they're allowed
+   */
+  permissions(bot, channel, userId) {
+    let guild = channel.guild,
+      permissions = channel.permissionsOf(bot.user.id),
+      self = guild.members.get(bot.user.id),
+      purge = permissions.has('manageMessages') && permissions.has('readMessageHistory');
+
+    return this.member(bot, guild, userId).then(member => {
+      let banned = member || !userId || !permissions.has('banMembers') ? false : this.banned(bot, guild, userId);
+
+      return Promise.all([member, banned]);
+    }).then(results => {
+      let member = results[0],
+        banned = results[1],
+        // the owner and members with a role as high as ours can't be kicked, banned or timed out
+        outranked = !!member && (userId === guild.ownerID || userId === bot.user.id ||
+          (guild.ownerID !== bot.user.id && (!self || highestRole(guild, member) >= highestRole(guild, self))));
+
+      return {
+        kick: !!member && !outranked && permissions.has('kickMembers'),
+        ban: !outranked && !banned && userId !== bot.user.id && permissions.has('banMembers'),
+        unban: banned,
+        // administrators can't be timed out
+        timeout: !!member && !outranked && !channel.permissionsOf(member).has('administrator') &&
+          permissions.has('moderateMembers'),
+        purge: purge,
+        purgeUser: purge
+      };
+    });
+  }
+
+  /**
+   * Get a member of a guild, fetching them if they aren't cached
+   * @param  {Object}  bot    eris client
+   * @param  {Object}  guild  eris guild
+   * @param  {String}  userId user id
+   * @return {Promise}        resolves with the eris member, null if the user isn't in the guild
+   */
+  member(bot, guild, userId) {
+    let member = userId ? guild.members.get(userId) : null;
+
+    if (member || !userId) {
+      return Promise.resolve(member || null);
+    }
+
+    return bot.getRESTGuildMember(guild.id, userId).catch(err => {
+      if (err.code === UNKNOWN_MEMBER || err.code === UNKNOWN_USER) return null;
+      throw err;
+    });
+  }
+
+  /**
+   * Check whether a user is banned from a guild
+   * @param  {Object}  bot    eris client
+   * @param  {Object}  guild  eris guild
+   * @param  {String}  userId user id
+   * @return {Promise}        resolves with true if they're banned
+   */
+  banned(bot, guild, userId) {
+    return bot.getGuildBan(guild.id, userId).then(() => true, err => {
+      if (err.code === UNKNOWN_BAN || err.code === UNKNOWN_USER) return false;
+      throw err;
+    });
+  }
+
+  /**
+   * Take a moderation action and log it
+   * @param  {Object}  bot     eris client
+   * @param  {String}  profile profile id the action is logged for
+   * @param  {Object}  request action, channel id, user, reason and the action's options
+   * @return {Promise}         resolves with the log entry
+   */
+  run(bot, profile, request) {
+    let channel = bot.getChannel(request.channel),
+      user = request.user || {};
+
+    let entry = {
+      profile: profile,
+      time: Date.now(),
+      action: request.action,
+      guild: channel && channel.guild ? channel.guild.id : null,
+      guildName: channel && channel.guild ? channel.guild.name : null,
+      channel: request.channel,
+      channelName: channel ? channel.name : null,
+      user: user.id ? { id: user.id, username: user.username, discriminator: user.discriminator } : null,
+      reason: request.reason || null,
+      details: null,
+      error: null
+    };
+
+    return new Promise(resolve => resolve(this.perform(bot, channel, request, entry)))
+      .catch(err => {
+        entry.error = err.message;
+      })
+      .then(() => new Promise(resolve => {
+        this.db.insert(entry, (err, doc) => {
+          if (err) console.log(err);
+          resolve(doc || entry);
+        });
+      }));
+  }
+
+  /**
+   * Take a moderation action after checking the bot is allowed to
+   * @param  {Object}  bot     eris client
+   * @param  {Object}  channel eris channel the action was taken from
+   * @param  {Object}  request action, user, reason and the action's options
+   * @param  {Object}  entry   log entry, details are added to it
+   * @return {Promise}         resolves when the action is done
+   */
+  perform(bot, channel, request, entry) {
+    if (!channel || !channel.guild) {
+      throw new Error('Moderation actions only work in server channels');
+    }
+
+    let userId = request.user ? request.user.id : null;
+
+    return this.permissions(bot, channel, userId).then(allowed => {
+      if (!allowed[request.action]) {
+        throw new Error(`The bot isn't allowed to ${request.action} here`);
+      }
+
+      return this.act(bot, channel, request, entry);
+    });
+  }
+
+  /**
+   * Take a moderation action the bot is allowed to take
+   * @param  {Object}  bot     eris client
+   * @param  {Object}  channel eris channel the action was taken from
+   * @param  {Object}  request action, user, reason and the action's options
+   * @param  {Object}  entry   log entry, details are added to it
+   * @return {Promise}         resolves when the action is done
+   */
+  act(bot, channel, request, entry) {
+    let guild = channel.guild,
+      userId = request.user ? request.user.id : null,
+      reason = request.reason || undefined;
+
+    switch (request.action) {
+      case 'kick':
+        return bot.kickGuildMember(guild.id, userId, reason);
+
+      case 'ban': {
+        let days = Math.min(MAX_DELETE_DAYS, Math.max(0, parseInt(request.deleteDays, 10) || 0));
+        entry.details = `deleted ${days} day${days === 1 ? '' : 's'} of messages`;
+        return bot.banGuildMember(guild.id, userId, { deleteMessageSeconds: days * DAY / 1000, reason: reason });
+      }
+
+      case 'unban':
+        return bot.unbanGuildMember(guild.id, userId, reason);
+
+      case 'timeout': {
+        let duration = parseInt(request.duration, 10);
+
+        if (!(duration > 0 && duration <= MAX_TIMEOUT)) {
+          throw new Error('Timeouts can be up to 28 days');
+        }
+
+        let until = new Date(Date.now() + duration);
+        entry.details = `until ${until.toISOString()}`;
+        return bot.editGuildMember(guild.id, userId, { communicationDisabledUntil: until }, reason);
+      }
+
+      case 'purge':
+      case 'purgeUser': {
+        let limit = parseInt(request.count, 10);
+
+        if (!(limit > 0 && limit <= MAX_PURGE)) {
+          throw new Error(`Purges can look through 1 to ${MAX_PURGE} messages`);
+        }
+
+        let options = { limit: limit, reason: reason };
+
+        if (request.action === 'purgeUser') {
+          options.filter = msg => msg.author.id === userId;
+        }
+
+        return bot.purgeChannel(channel.id, options).then(deleted => {
+          entry.details = `deleted ${deleted} of the last ${limit} messages`;
+        });
+      }
+
+      default:
+        throw new Error(`Unknown moderation action ${request.action}`);
+    }
+  }
+
+  /**
+   * Get the newest log entries of a profile
+   * @param  {String}   profile  profile id
+   * @param  {Function} callback called with an error and the entries, newest first
+   */
+  log(profile, callback) {
+    this.db.find({ profile: profile }).sort({ time: -1 }).limit(LOG_LIMIT).exec(callback);
+  }
+}
+
+module.exports = Moderation;
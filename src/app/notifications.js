@@ -0,0 +1,134 @@
+"use strict";
+
+// notification modes for servers and channels
+const MODES = ['all', 'mentions', 'none'];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param  {String} text text to escape
+ * @return {String}      escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Desktop notification rules, per profile
+ *
+ * Rules are stored in the nedb config db as a document with type "notifications".
+ * A channel rule overrides its server's rule, servers notify for mentions by
+ * default and direct messages notify for everything.
+ */
+class Notifications {
+
+  /**
+   * @param  {Object} db nedb config datastore
+   */
+  constructor(db) {
+    this.db = db;
+    this.profile = null;
+    this.settings = Notifications.defaults();
+  }
+
+  static defaults() {
+    return {
+      dnd: false,
+      keywords: [],
+      servers: {},
+      channels: {}
+    };
+  }
+
+  /**
+   * Load the rules of a profile
+   * @param  {String}   profileId profile id
+   * @param  {Function} callback  called when the rules are loaded
+   */
+  load(profileId, callback) {
+    this.profile = profileId;
+    this.settings = Notifications.defaults();
+
+    this.db.findOne({ type: 'notifications', profile: profileId }, (err, doc) => {
+      if (doc) {
+        this.settings = Object.assign(this.settings, doc.settings);
+      }
+
+      callback(err);
+    });
+  }
+
+  /**
+   * Save the rules of the current profile
+   * @param  {Function} callback called when the rules are saved
+   */
+  save(callback) {
+    this.db.update(
+      { type: 'notifications', profile: this.profile },
+      { type: 'notifications', profile: this.profile, settings: this.settings },
+      { upsert: true },
+      err => callback(err)
+    );
+  }
+
+  /**
+   * Set the rule for a server or channel
+   * @param  {String} scope server or channel
+   * @param  {String} id    guild or channel id
+   * @param  {String} mode  all, mentions or none, anything else clears the rule
+   */
+  setRule(scope, id, mode) {
+    let rules = scope === 'server' ? this.settings.servers : this.settings.channels;
+
+    if (MODES.indexOf(mode) === -1) {
+      delete rules[id];
+    } else {
+      rules[id] = mode;
+    }
+  }
+
+  setKeywords(keywords) {
+    this.settings.keywords = (keywords || []).map(keyword => keyword.trim()).filter(Boolean);
+  }
+
+  setDoNotDisturb(dnd) {
+    this.settings.dnd = !!dnd;
+  }
+
+  /**
+   * Get the mode that applies to a channel
+   * @param  {String} channelId channel id
+   * @param  {String} guildId   guild id, null for direct messages
+   * @return {String}           all, mentions or none
+   */
+  modeFor(channelId, guildId) {
+    return this.settings.channels[channelId] ||
+      (guildId && this.settings.servers[guildId]) ||
+      (guildId ? 'mentions' : 'all');
+  }
+
+  /**
+   * Check if a message should show a notification
+   * @param  {Object}  message   channel id, guild id, content and whether it mentions the bot
+   * @return {Boolean}
+   */
+  shouldNotify(message) {
+    if (this.settings.dnd) {
+      return false;
+    }
+
+    let mode = this.modeFor(message.channelId, message.guildId);
+
+    if (mode === 'none') {
+      return false;
+    }
+
+    if (mode === 'all' || message.mentioned) {
+      return true;
+    }
+
+    return this.settings.keywords.some(keyword =>
+      new RegExp(`(^|\\W)${escapeRegExp(keyword)}(\\W|$)`, 'i').test(message.content || ''));
+  }
+}
+
+module.exports = Notifications;
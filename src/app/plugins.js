@@ -0,0 +1,675 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// errors a plugin can throw before it's stopped
+const MAX_ERRORS = 5;
+
+// time a plugin's top level code can run for when it's loaded
+const LOAD_TIMEOUT = 1000;
+
+// time a handler, decorator, timer or menu item can run for before the plugin is stopped
+const CALL_TIMEOUT = 1000;
+
+// calls into plugins are run through this script so vm can interrupt ones that don't return
+const GUARD = vm.createContext({ fn: null });
+const INVOKE = new vm.Script('fn()', { filename: 'plugin-guard' });
+
+// editors write files in several steps, wait for them to finish before reloading
+const RELOAD_DELAY = 300;
+
+// log lines kept per plugin
+const LOG_SIZE = 50;
+
+/**
+ * Build a plugin's globals and api, the source of this function is run in the plugin's
+ * context so everything the plugin can reach comes from its own realm. host stays in
+ * this closure and only strings, numbers and plugin functions cross it.
+ * @param  {Object} host host side of the api, see Plugins#host
+ * @return {Object}      globals for the plugin and functions Plugins calls it through
+ */
+function buildSandbox(host) {
+  "use strict";
+
+  let module = { exports: {} },
+    definition = null;
+
+  // host errors are thrown again as errors of this realm
+  let bridge = name => function () {
+    try {
+      return host[name].apply(null, arguments);
+    } catch (e) {
+      throw new Error(String(e.message));
+    }
+  };
+
+  let parse = json => json === undefined ? undefined : JSON.parse(json);
+
+  let format = args => Array.prototype.map.call(args, arg => {
+    if (arg instanceof Error) return String(arg.stack);
+    if (!arg || typeof arg !== 'object') return String(arg);
+
+    try {
+      return JSON.stringify(arg);
+    } catch (e) {
+      return String(arg);
+    }
+  }).join(' ');
+
+  let log = bridge('log'),
+    fail = bridge('fail');
+
+  let report = err => fail(err && err.stack ? String(err.stack) : String(err));
+
+  // calls a plugin function, errors and rejections are sent to the host as text
+  let invoke = (fn, args) => {
+    try {
+      let result = fn.apply(null, args);
+
+      if (result && typeof result.then === 'function') {
+        result.then(null, report);
+      }
+
+      return result;
+    } catch (e) {
+      report(e);
+    }
+  };
+
+  let write = level => function () {
+    log(level, format(arguments));
+  };
+
+  let on = bridge('on'),
+    sendMessage = bridge('sendMessage'),
+    addDecorator = bridge('addDecorator'),
+    addMenuItem = bridge('addMenuItem'),
+    user = bridge('user'),
+    setTimer = bridge('setTimer'),
+    clearTimer = bridge('clearTimer');
+
+  let api = {
+    events: parse(bridge('events')()),
+
+    /**
+     * Subscribe to a bot event, messages are passed in the same form the client gets them
+     * @param  {String}   event   event name
+     * @param  {Function} handler event handler
+     */
+    on: (event, handler) => {
+      if (typeof handler !== 'function') throw new Error('Event handlers must be functions');
+      on(String(event), handler);
+    },
+
+    /**
+     * Send a message as the bot, errors are written to the plugin's log
+     * @param  {String} channelId channel id
+     * @param  {*}      content   message content or options
+     */
+    sendMessage: (channelId, content) => sendMessage(String(channelId), JSON.stringify(content)),
+
+    /**
+     * Decorate messages in the client
+     * @param  {Function} decorator called with a message, returns a badge text, colour and
+     *                              whether to highlight the message, or nothing
+     */
+    addDecorator: decorator => {
+      if (typeof decorator !== 'function') throw new Error('Decorators must be functions');
+      addDecorator(decorator);
+    },
+
+    /**
+     * Add an item to the plugins menu
+     * @param  {Object} item label and click function
+     */
+    addMenuItem: item => {
+      if (typeof item.click !== 'function') throw new Error('Menu items need a click function');
+      addMenuItem(String(item.label), item.click);
+    },
+
+    /**
+     * The bot's user, null when it isn't connected
+     * @return {Object} id, username and discriminator
+     */
+    user: () => parse(user()),
+
+    log: write('info'),
+
+    // timers are cleared when the plugin is unloaded
+    setTimeout: (callback, delay) => setTimer(false, callback, Number(delay)),
+    setInterval: (callback, delay) => setTimer(true, callback, Number(delay)),
+    clearTimeout: timer => clearTimer(Number(timer)),
+    clearInterval: timer => clearTimer(Number(timer))
+  };
+
+  return {
+    module: module,
+    console: { log: write('info'), info: write('info'), warn: write('warn'), error: write('error') },
+
+    // read the plugin's exports, returns its name and description
+    define: () => {
+      definition = typeof module.exports === 'function' ? { load: module.exports } : module.exports;
+
+      if (!definition || typeof definition.load !== 'function') {
+        throw new Error('Plugins must export a load function');
+      }
+
+      return JSON.stringify({
+        name: definition.name ? String(definition.name) : null,
+        description: definition.description ? String(definition.description) : ''
+      });
+    },
+
+    load: () => invoke(definition.load, [api]),
+    unload: () => typeof definition.unload === 'function' && invoke(definition.unload, []),
+    call: (fn, args) => invoke(fn, parse(args)),
+
+    // copy the decoration out so the host only reads plain values
+    decorate: (fn, args) => {
+      let decoration = invoke(fn, parse(args));
+
+      return decoration ? JSON.stringify({
+        badge: decoration.badge ? String(decoration.badge) : null,
+        color: decoration.color ? String(decoration.color) : null,
+        highlight: !!decoration.highlight
+      }) : undefined;
+    }
+  };
+}
+
+/**
+ * Loads user scripts from the plugins folder
+ *
+ * Each plugin is a .js file that sets module.exports to an object with a load(api)
+ * function and optionally a name, a description and an unload() function, or to
+ * just the load function. Plugins run in their own context and only get objects made
+ * in it, so they can't reach the client, the token or require.
+ *
+ * Plugins are off until they're enabled in the plugin manager and are reloaded when
+ * their file changes. Errors are logged and a call that runs longer than CALL_TIMEOUT
+ * stops the plugin, code that runs after an await isn't covered by the timeout.
+ */
+class Plugins {
+
+  /**
+   * @param  {Object}   main      Main, used to read the bot and send messages
+   * @param  {Object}   config    nedb config datastore
+   * @param  {String}   directory plugins folder
+   * @param  {Function} onChange  called when plugins change, with whether the menu needs to be rebuilt
+   */
+  constructor(main, config, directory, onChange) {
+    this.main = main;
+    this.config = config;
+    this.directory = directory;
+    this.onChange = onChange;
+    // plugins by file name
+    this.plugins = {};
+    this.enabled = [];
+    this.reloadTimers = {};
+    this.watcher = null;
+    this.timerId = 0;
+  }
+
+  /**
+   * Load the enabled plugins and watch the folder for changes
+   * @param  {Function} callback called when the plugins are loaded
+   */
+  load(callback) {
+    this.config.findOne({ type: 'plugins' }, (err, doc) => {
+      this.enabled = doc && doc.enabled ? doc.enabled : [];
+
+      try {
+        fs.mkdirSync(this.directory);
+      } catch (e) {
+        if (e.code !== 'EEXIST') console.log(e);
+      }
+
+      for (let file of this.files()) {
+        this.reload(file);
+      }
+
+      this.watch();
+      callback(err);
+    });
+  }
+
+  /**
+   * List the plugin files in the folder
+   * @return {Array} file names
+   */
+  files() {
+    try {
+      return fs.readdirSync(this.directory).filter(file => path.extname(file) === '.js');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Reload plugins when files in the folder change
+   */
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.directory, (type, file) => {
+        if (!file || path.extname(file) !== '.js') return;
+
+        clearTimeout(this.reloadTimers[file]);
+        this.reloadTimers[file] = setTimeout(() => {
+          delete this.reloadTimers[file];
+          this.reload(file);
+        }, RELOAD_DELAY);
+      });
+    } catch (e) {
+      console.log(`Unable to watch ${this.directory}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Unload a plugin and load it again from disk if it's enabled
+   * @param  {String} file plugin file name
+   */
+  reload(file) {
+    let plugin = this.plugins[file];
+
+    if (plugin) {
+      this.unload(plugin);
+    }
+
+    // the file was removed
+    if (!fs.existsSync(path.join(this.directory, file))) {
+      delete this.plugins[file];
+      this.onChange(true);
+      return;
+    }
+
+    if (!plugin) {
+      plugin = this.plugins[file] = { file: file, name: file, description: '', log: [] };
+    }
+
+    plugin.errors = 0;
+    plugin.error = null;
+
+    if (this.enabled.indexOf(file) !== -1) {
+      this.start(plugin);
+    }
+
+    this.onChange(true);
+  }
+
+  /**
+   * Run a plugin's file in a new context and call its load function
+   * @param  {Object} plugin plugin
+   */
+  start(plugin) {
+    let filename = path.join(this.directory, plugin.file),
+      // without a prototype the context's global doesn't lead back to this realm
+      context = vm.createContext(Object.create(null)),
+      definition;
+
+    Object.assign(plugin, { loaded: true, handlers: {}, decorators: [], menuItems: [], timers: {}, sandbox: null });
+
+    try {
+      let sandbox = vm.runInContext(`(${buildSandbox})`, context)(this.host(plugin));
+
+      Object.assign(context, { module: sandbox.module, exports: sandbox.module.exports, console: sandbox.console });
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename, timeout: LOAD_TIMEOUT });
+      definition = JSON.parse(this.run(() => sandbox.define()));
+      plugin.sandbox = sandbox;
+    } catch (e) {
+      return this.fail(plugin, e, true);
+    }
+
+    plugin.name = definition.name || plugin.file;
+    plugin.description = definition.description;
+
+    this.log(plugin, 'info', 'Loaded');
+    this.call(plugin, () => plugin.sandbox.load());
+  }
+
+  /**
+   * Call a plugin's unload function and forget everything it registered
+   * @param  {Object} plugin plugin
+   */
+  unload(plugin) {
+    if (!plugin.loaded) return;
+
+    let sandbox = plugin.sandbox;
+
+    plugin.loaded = false;
+
+    if (sandbox) {
+      try {
+        this.run(() => sandbox.unload());
+      } catch (e) {
+        this.log(plugin, 'error', `unload failed: ${this.describe(e).message}`);
+      }
+    }
+
+    for (let id of Object.keys(plugin.timers)) {
+      clearTimeout(plugin.timers[id]);
+      clearInterval(plugin.timers[id]);
+    }
+
+    Object.assign(plugin, { handlers: {}, decorators: [], menuItems: [], timers: {}, sandbox: null });
+    this.log(plugin, 'info', 'Unloaded');
+  }
+
+  /**
+   * Enable or disable a plugin
+   * @param  {String}   file     plugin file name
+   * @param  {Boolean}  enabled  whether the plugin should run
+   * @param  {Function} callback called when the setting is saved
+   */
+  setEnabled(file, enabled, callback) {
+    this.enabled = this.enabled.filter(name => name !== file);
+
+    if (enabled) {
+      this.enabled.push(file);
+    }
+
+    this.config.update({ type: 'plugins' }, { type: 'plugins', enabled: this.enabled }, { upsert: true }, err => {
+      this.reload(file);
+      callback(err);
+    });
+  }
+
+  /**
+   * Bot events plugins can subscribe to, the ones Main handles itself
+   * @return {Array} event names
+   */
+  events() {
+    return Object.keys(this.main.botEvents());
+  }
+
+  /**
+   * Create the host side of a plugin's api, the plugin only reaches it through the
+   * wrappers made in its context so these take and return strings and numbers
+   * @param  {Object} plugin plugin
+   * @return {Object}        host functions by name
+   */
+  host(plugin) {
+    return {
+      events: () => JSON.stringify(this.events()),
+
+      on: (event, handler) => {
+        let events = this.events();
+
+        if (events.indexOf(event) === -1) {
+          throw new Error(`Unknown event ${event}, plugins can use ${events.join(', ')}`);
+        }
+
+        (plugin.handlers[event] = plugin.handlers[event] || []).push(handler);
+      },
+
+      sendMessage: (channelId, content) => {
+        if (!this.main.bot) {
+          throw new Error('The bot isn\'t connected');
+        }
+
+        // send it the same way as messages from the composer
+        let event = {
+          sender: { send: (name, error) => this.log(plugin, 'error', `${error.type} failed: ${error.message}`) }
+        };
+
+        this.main.sendCommand({ id: channelId }, event, { type: 'message', message: content === undefined ? undefined : JSON.parse(content) });
+      },
+
+      addDecorator: decorator => {
+        plugin.decorators.push(decorator);
+      },
+
+      addMenuItem: (label, click) => {
+        plugin.menuItems.push({ label: label, click: click });
+        this.onChange(true);
+      },
+
+      user: () => JSON.stringify(this.main.bot && this.main.bot.user ? {
+        id: this.main.bot.user.id,
+        username: this.main.bot.user.username,
+        discriminator: this.main.bot.user.discriminator
+      } : null),
+
+      log: (level, message) => this.log(plugin, level, message),
+      fail: message => this.fail(plugin, message),
+
+      // timers are cleared when the plugin is unloaded
+      setTimer: (repeat, callback, delay) => this.timer(plugin, repeat, callback, delay),
+      clearTimer: id => {
+        clearTimeout(plugin.timers[id]);
+        clearInterval(plugin.timers[id]);
+        delete plugin.timers[id];
+      }
+    };
+  }
+
+  /**
+   * Start a timer that calls into a plugin
+   * @param  {Object}   plugin   plugin
+   * @param  {Boolean}  repeat   whether it's an interval
+   * @param  {Function} callback plugin callback
+   * @param  {Number}   delay    delay in milliseconds
+   * @return {Number}            timer id
+   */
+  timer(plugin, repeat, callback, delay) {
+    let id = ++this.timerId;
+
+    plugin.timers[id] = (repeat ? setInterval : setTimeout)(() => {
+      if (!repeat) delete plugin.timers[id];
+      this.invoke(plugin, callback, []);
+    }, delay);
+
+    return id;
+  }
+
+  /**
+   * Call a plugin function with event arguments, they're converted inside the guard and
+   * each call gets its own copy so plugins can't change what the others see
+   * @param  {Object}   plugin plugin
+   * @param  {Function} fn     plugin function
+   * @param  {Array}    args   arguments
+   */
+  invoke(plugin, fn, args) {
+    this.call(plugin, () => plugin.sandbox.call(fn, JSON.stringify(args.map(arg => this.plain(arg)))));
+  }
+
+  /**
+   * Pass a bot event to the plugins that subscribed to it
+   * @param  {String} event event name
+   * @param  {Array}  args  event arguments
+   */
+  emit(event, args) {
+    let subscribed = Object.keys(this.plugins)
+      .map(file => this.plugins[file])
+      .filter(plugin => plugin.loaded && plugin.handlers[event]);
+
+    for (let plugin of subscribed) {
+      for (let handler of plugin.handlers[event]) {
+        this.invoke(plugin, handler, args);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the events of a new bot client
+   * @param  {Object} bot eris client
+   */
+  attach(bot) {
+    for (let event of this.events()) {
+      bot.on(event, function () {
+        this.emit(event, Array.from(arguments));
+      }.bind(this));
+    }
+  }
+
+  /**
+   * Get the decorations plugins add to a message
+   * @param  {Object} message formatted message
+   * @return {Array}          badge, colour and highlight of each decoration
+   */
+  decorate(message) {
+    let decorations = [],
+      json = JSON.stringify([message]);
+
+    for (let file of Object.keys(this.plugins)) {
+      let plugin = this.plugins[file];
+
+      if (!plugin.loaded) continue;
+
+      for (let decorator of plugin.decorators) {
+        let decoration = this.call(plugin, () => plugin.sandbox.decorate(decorator, json));
+
+        if (decoration) {
+          decorations.push(Object.assign({ plugin: plugin.name }, JSON.parse(decoration)));
+        }
+      }
+    }
+
+    return decorations;
+  }
+
+  /**
+   * Menu items added by the running plugins
+   * @return {Array} labels and guarded click handlers
+   */
+  menuItems() {
+    let items = [];
+
+    for (let file of Object.keys(this.plugins)) {
+      let plugin = this.plugins[file];
+
+      if (!plugin.loaded) continue;
+
+      for (let item of plugin.menuItems) {
+        items.push({ label: item.label, click: () => this.invoke(plugin, item.click, []) });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Describe the plugins for the plugin manager
+   * @return {Array} plugins
+   */
+  list() {
+    return Object.keys(this.plugins).sort().map(file => {
+      let plugin = this.plugins[file];
+
+      return {
+        file: file,
+        name: plugin.name,
+        description: plugin.description,
+        enabled: this.enabled.indexOf(file) !== -1,
+        loaded: !!plugin.loaded,
+        error: plugin.error,
+        log: plugin.log
+      };
+    });
+  }
+
+  /**
+   * Call into a plugin, an error is logged and stops the plugin if it keeps failing,
+   * a call that times out stops it straight away
+   * @param  {Object}   plugin plugin
+   * @param  {Function} fn     function that calls the plugin
+   * @return {*}               what fn returned, undefined if it threw
+   */
+  call(plugin, fn) {
+    if (!plugin.loaded) return;
+
+    try {
+      return this.run(fn);
+    } catch (e) {
+      this.fail(plugin, e, e && e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT');
+    }
+  }
+
+  /**
+   * Run a function that calls into a plugin, throwing if it runs longer than CALL_TIMEOUT
+   * @param  {Function} fn function that calls the plugin
+   * @return {*}           what fn returned
+   */
+  run(fn) {
+    GUARD.fn = fn;
+
+    try {
+      return INVOKE.runInContext(GUARD, { timeout: CALL_TIMEOUT });
+    } finally {
+      // don't keep the plugin's function alive
+      GUARD.fn = null;
+    }
+  }
+
+  /**
+   * Log a plugin error, and stop the plugin if it has failed too often
+   * @param  {Object}  plugin plugin
+   * @param  {*}       err    error, or its stack from the plugin's context
+   * @param  {Boolean} stop   stop the plugin straight away
+   */
+  fail(plugin, err, stop) {
+    let error = this.describe(err);
+
+    plugin.errors = (plugin.errors || 0) + 1;
+    this.log(plugin, 'error', error.stack);
+
+    if (!plugin.loaded) return;
+
+    if (stop || plugin.errors >= MAX_ERRORS) {
+      plugin.error = stop ? error.message : `Stopped after ${plugin.errors} errors`;
+      this.unload(plugin);
+      this.onChange(true);
+    }
+  }
+
+  /**
+   * Read the message and stack of an error, under the timeout as a plugin can throw
+   * anything from its top level code
+   * @param  {*}      err error
+   * @return {Object}     message and stack
+   */
+  describe(err) {
+    try {
+      return this.run(() => ({
+        message: String(err && err.message || err),
+        stack: String(err && err.stack || err)
+      }));
+    } catch (e) {
+      return { message: 'Unknown error', stack: 'Unknown error' };
+    }
+  }
+
+  /**
+   * Add a line to a plugin's log
+   * @param  {Object} plugin  plugin
+   * @param  {String} level   info, warn or error
+   * @param  {String} message log message
+   */
+  log(plugin, level, message) {
+    plugin.log.unshift({ time: Date.now(), level: level, message: message });
+    plugin.log.length = Math.min(plugin.log.length, LOG_SIZE);
+    this.onChange(false);
+  }
+
+  /**
+   * Convert an event argument to data a plugin can have, without references to the client
+   * @param  {*} value event argument
+   * @return {*}       data that can be sent as JSON
+   */
+  plain(value) {
+    if (value instanceof this.main.eris.Message && value.author) {
+      return this.main.formatMessage(value);
+    }
+
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, code: value.code };
+    }
+
+    return value;
+  }
+}
+
+module.exports = Plugins;
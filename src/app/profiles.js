@@ -0,0 +1,307 @@
+"use strict";
+
+// connection options used when a profile doesn't set them, the same as eris' defaults
+const CONNECTION_DEFAULTS = {
+  maxShards: 1,
+  firstShardID: null,
+  lastShardID: null,
+  intents: null,
+  getAllUsers: false,
+  guildCreateTimeout: 2000
+};
+
+/**
+ * Run an async function for each item in order
+ * @param  {Array}    items    items to process
+ * @param  {Function} fn       called with an item and a callback
+ * @param  {Function} callback called with the first error, or when every item is done
+ */
+function each(items, fn, callback) {
+  let next = i => {
+    if (i >= items.length) return callback(null);
+
+    fn(items[i], err => {
+      if (err) return callback(err);
+      next(i + 1);
+    });
+  };
+
+  next(0);
+}
+
+/**
+ * Bot profiles stored in the nedb config db
+ *
+ * Each profile is a document with type "profile", and a single document with
+ * type "settings" holds the id of the active profile and the encryption settings.
+ * Tokens are stored encrypted with the vault's key, only the main process sees them.
+ */
+class Profiles {
+
+  /**
+   * @param  {Object} db    nedb config datastore
+   * @param  {Object} vault vault used to encrypt tokens
+   */
+  constructor(db, vault) {
+    this.db = db;
+    this.vault = vault;
+  }
+
+  /**
+   * Convert the single token config document from older versions into a profile
+   * @param  {Function} callback called when the migration is done
+   */
+  migrate(callback) {
+    this.db.findOne({ type: { $exists: false }, token: { $exists: true } }, (err, doc) => {
+      if (err || !doc) {
+        return callback(err);
+      }
+
+      this.db.update({ _id: doc._id }, { type: 'profile', name: 'Default', token: doc.token, created: Date.now() }, {}, err => {
+        if (err) return callback(err);
+        this.setActive(doc._id, callback);
+      });
+    });
+  }
+
+  /**
+   * Get the stored encryption settings
+   * @param  {Function} callback called with an error and the settings, null if tokens aren't encrypted yet
+   */
+  encryption(callback) {
+    this.db.findOne({ type: 'settings' }, (err, settings) => {
+      callback(err, settings && settings.encryption ? settings.encryption : null);
+    });
+  }
+
+  /**
+   * Check if a master passphrase is needed to unlock the tokens
+   * @param  {Function} callback called with an error and a boolean
+   */
+  needsPassphrase(callback) {
+    this.encryption((err, encryption) => callback(err, !!encryption && encryption.passphrase));
+  }
+
+  /**
+   * Unlock the tokens with the master passphrase
+   * Configs from before tokens were encrypted are encrypted here.
+   * @param  {String}   passphrase master passphrase, empty if there isn't one
+   * @param  {Function} callback   called with an error if the passphrase is wrong
+   */
+  unlock(passphrase, callback) {
+    this.encryption((err, encryption) => {
+      if (err) return callback(err);
+
+      if (!encryption) {
+        return this.setPassphrase(passphrase || '', callback);
+      }
+
+      this.vault.unlock(passphrase || '', encryption, err => {
+        if (err) return callback(err);
+        this.encryptPlaintext(callback);
+      });
+    });
+  }
+
+  /**
+   * Set a new master passphrase and encrypt every token with it
+   * @param  {String}   passphrase new passphrase, empty to remove the passphrase
+   * @param  {Function} callback   called when every token is encrypted with the new key
+   */
+  setPassphrase(passphrase, callback) {
+    this.list((err, profiles) => {
+      if (err) return callback(err);
+
+      let tokens = {};
+
+      try {
+        for (let profile of profiles) {
+          tokens[profile._id] = profile.token || this.vault.decrypt(profile.encryptedToken);
+        }
+      } catch (e) {
+        return callback(e);
+      }
+
+      this.vault.create(passphrase, (err, encryption) => {
+        if (err) return callback(err);
+
+        each(profiles, (profile, done) => {
+          this.db.update({ _id: profile._id }, {
+            $set: { encryptedToken: this.vault.encrypt(tokens[profile._id]) },
+            $unset: { token: true }
+          }, {}, done);
+        }, err => {
+          if (err) return callback(err);
+          this.db.update({ type: 'settings' }, { $set: { encryption: encryption } }, { upsert: true }, err => {
+            if (err) return callback(err);
+            this.compact();
+            callback(null);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Encrypt any tokens still stored in plain text
+   * @param  {Function} callback called when the tokens are encrypted
+   */
+  encryptPlaintext(callback) {
+    this.db.find({ type: 'profile', token: { $exists: true } }, (err, profiles) => {
+      if (err) return callback(err);
+
+      each(profiles, (profile, done) => {
+        this.db.update({ _id: profile._id }, {
+          $set: { encryptedToken: this.vault.encrypt(profile.token) },
+          $unset: { token: true }
+        }, {}, done);
+      }, err => {
+        if (!err && profiles.length) this.compact();
+        callback(err);
+      });
+    });
+  }
+
+  /**
+   * Rewrite the datafile, nedb appends updates so old plain text tokens stay in the file until it's compacted
+   */
+  compact() {
+    this.db.persistence.compactDatafile();
+  }
+
+  /**
+   * Decrypt a profile's token
+   * @param  {Object} profile profile
+   * @return {String}         bot token
+   */
+  token(profile) {
+    return this.vault.decrypt(profile.encryptedToken);
+  }
+
+  /**
+   * List all profiles
+   * @param  {Function} callback called with an error and the profiles
+   */
+  list(callback) {
+    this.db.find({ type: 'profile' }).sort({ name: 1 }).exec(callback);
+  }
+
+  /**
+   * Get a profile
+   * @param  {String}   id       profile id
+   * @param  {Function} callback called with an error and the profile
+   */
+  get(id, callback) {
+    this.db.findOne({ type: 'profile', _id: id }, callback);
+  }
+
+  /**
+   * Add or update a profile
+   * @param  {Object}   profile  profile with a name and plain text token, updated if it has an _id
+   * @param  {Function} callback called with an error and the saved profile
+   */
+  save(profile, callback) {
+    profile.type = 'profile';
+
+    // only the encrypted token is stored
+    if (profile.token) {
+      profile.encryptedToken = this.vault.encrypt(profile.token);
+      delete profile.token;
+    }
+
+    if (!profile._id) {
+      profile.created = Date.now();
+      return this.db.insert(profile, callback);
+    }
+
+    this.db.update({ _id: profile._id }, profile, {}, err => callback(err, profile));
+  }
+
+  /**
+   * Remove a profile, clearing the active profile if it was active
+   * @param  {String}   id       profile id
+   * @param  {Function} callback called when the profile is removed
+   */
+  remove(id, callback) {
+    this.db.remove({ type: 'profile', _id: id }, {}, err => {
+      if (err) return callback(err);
+
+      this.db.update({ type: 'settings', activeProfile: id }, { $set: { activeProfile: null } }, {}, callback);
+    });
+  }
+
+  /**
+   * Get a profile's connection options, with defaults for the options it doesn't set
+   * @param  {Object} profile profile
+   * @return {Object}         shard count or auto, first and last shard, intent names, getAllUsers and guild create timeout
+   */
+  connection(profile) {
+    return Object.assign({}, CONNECTION_DEFAULTS, profile.connection || {});
+  }
+
+  /**
+   * Check and save a profile's connection options
+   * @param  {String}   id         profile id
+   * @param  {Object}   connection connection options from the settings dialog
+   * @param  {Function} callback   called with an error if the options aren't valid, and the saved options
+   */
+  setConnection(id, connection, callback) {
+    let options = Object.assign({}, CONNECTION_DEFAULTS),
+      shardId = value => value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+
+    options.maxShards = connection.maxShards === 'auto' ? 'auto' : parseInt(connection.maxShards, 10);
+    options.firstShardID = shardId(connection.firstShardID);
+    options.lastShardID = shardId(connection.lastShardID);
+    options.intents = connection.intents && connection.intents.length ? connection.intents : null;
+    options.getAllUsers = !!connection.getAllUsers;
+    options.guildCreateTimeout = parseInt(connection.guildCreateTimeout, 10);
+
+    let error = null,
+      lastShard = options.lastShardID !== null ? options.lastShardID : (options.maxShards === 'auto' ? null : options.maxShards - 1);
+
+    if (options.maxShards !== 'auto' && !(options.maxShards >= 1)) {
+      error = 'The shard count must be auto or at least 1.';
+    } else if (isNaN(options.firstShardID) || isNaN(options.lastShardID) || options.firstShardID < 0 || options.lastShardID < 0) {
+      error = 'Shard ids must be 0 or more.';
+    } else if (lastShard !== null && (options.firstShardID || 0) > lastShard) {
+      error = 'The first shard can\'t be after the last shard.';
+    } else if (options.maxShards !== 'auto' && options.lastShardID !== null && options.lastShardID >= options.maxShards) {
+      error = `The last shard must be below the shard count, ${options.maxShards}.`;
+    } else if (!(options.guildCreateTimeout >= 0)) {
+      error = 'The guild create timeout must be 0 or more milliseconds.';
+    } else if (options.getAllUsers && options.intents && options.intents.indexOf('guildMembers') === -1) {
+      error = 'Fetching all users needs the guildMembers intent.';
+    }
+
+    if (error) {
+      return callback(new Error(error));
+    }
+
+    this.db.update({ type: 'profile', _id: id }, { $set: { connection: options } }, {}, err => callback(err, options));
+  }
+
+  /**
+   * Get the active profile
+   * @param  {Function} callback called with an error and the profile, null if there isn't one
+   */
+  getActive(callback) {
+    this.db.findOne({ type: 'settings' }, (err, settings) => {
+      if (err || !settings || !settings.activeProfile) {
+        return callback(err, null);
+      }
+
+      this.get(settings.activeProfile, callback);
+    });
+  }
+
+  /**
+   * Set the active profile
+   * @param  {String}   id       profile id, null to log out
+   * @param  {Function} callback called when the setting is saved
+   */
+  setActive(id, callback) {
+    this.db.update({ type: 'settings' }, { $set: { activeProfile: id } }, { upsert: true }, err => callback(err));
+  }
+}
+
+module.exports = Profiles;
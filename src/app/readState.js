@@ -0,0 +1,88 @@
+"use strict";
+
+const Datastore = require('nedb');
+
+/**
+ * Compare two snowflake ids
+ * @param  {String} a snowflake
+ * @param  {String} b snowflake
+ * @return {Number}   negative if a is older, positive if a is newer, 0 if they're the same
+ */
+function compareSnowflakes(a, b) {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * The last read message of each channel, per profile
+ *
+ * Channels are only tracked once they've been read in the client, a channel
+ * that has never been opened isn't reported as unread at startup.
+ */
+class ReadState {
+
+  /**
+   * @param  {String} filename path of the nedb datastore
+   */
+  constructor(filename) {
+    this.db = new Datastore({ filename: filename, autoload: true });
+    this.profile = null;
+    this.lastRead = {};
+  }
+
+  /**
+   * Load the read state of a profile
+   * @param  {String}   profileId profile id
+   * @param  {Function} callback  called when the read state is loaded
+   */
+  load(profileId, callback) {
+    this.profile = profileId;
+    this.lastRead = {};
+
+    this.db.find({ profile: profileId }, (err, docs) => {
+      for (let doc of docs || []) {
+        this.lastRead[doc.channel] = doc.message;
+      }
+
+      callback(err);
+    });
+  }
+
+  /**
+   * Check if a channel has messages newer than the last read message
+   * @param  {String}  channelId     channel id
+   * @param  {String}  lastMessageId id of the newest message in the channel
+   * @return {Boolean}
+   */
+  isUnread(channelId, lastMessageId) {
+    let lastRead = this.lastRead[channelId];
+    return !!lastRead && !!lastMessageId && compareSnowflakes(lastMessageId, lastRead) > 0;
+  }
+
+  /**
+   * Mark a channel as read up to a message
+   * @param  {String} channelId channel id
+   * @param  {String} messageId id of the newest message read
+   */
+  markRead(channelId, messageId) {
+    let lastRead = this.lastRead[channelId];
+
+    if (!messageId || (lastRead && compareSnowflakes(messageId, lastRead) <= 0)) {
+      return;
+    }
+
+    this.lastRead[channelId] = messageId;
+
+    this.db.update(
+      { profile: this.profile, channel: channelId },
+      { profile: this.profile, channel: channelId, message: messageId },
+      { upsert: true },
+      err => { if (err) console.log(err); }
+    );
+  }
+}
+
+module.exports = ReadState;
@@ -0,0 +1,416 @@
+"use strict";
+
+const autocomplete = require('./autocomplete');
+
+// permissions shown in the editor, in the groups the official client uses
+const PERMISSIONS = [
+  { group: 'General', name: 'administrator', label: 'Administrator' },
+  { group: 'General', name: 'viewChannel', label: 'View Channels' },
+  { group: 'General', name: 'manageChannels', label: 'Manage Channels' },
+  { group: 'General', name: 'manageRoles', label: 'Manage Roles' },
+  { group: 'General', name: 'manageGuildExpressions', label: 'Manage Expressions' },
+  { group: 'General', name: 'viewAuditLog', label: 'View Audit Log' },
+  { group: 'General', name: 'manageWebhooks', label: 'Manage Webhooks' },
+  { group: 'General', name: 'manageGuild', label: 'Manage Server' },
+  { group: 'Membership', name: 'createInstantInvite', label: 'Create Invite' },
+  { group: 'Membership', name: 'changeNickname', label: 'Change Nickname' },
+  { group: 'Membership', name: 'manageNicknames', label: 'Manage Nicknames' },
+  { group: 'Membership', name: 'kickMembers', label: 'Kick Members' },
+  { group: 'Membership', name: 'banMembers', label: 'Ban Members' },
+  { group: 'Membership', name: 'moderateMembers', label: 'Timeout Members' },
+  { group: 'Text', name: 'sendMessages', label: 'Send Messages' },
+  { group: 'Text', name: 'sendMessagesInThreads', label: 'Send Messages in Threads' },
+  { group: 'Text', name: 'createPublicThreads', label: 'Create Public Threads' },
+  { group: 'Text', name: 'createPrivateThreads', label: 'Create Private Threads' },
+  { group: 'Text', name: 'embedLinks', label: 'Embed Links' },
+  { group: 'Text', name: 'attachFiles', label: 'Attach Files' },
+  { group: 'Text', name: 'addReactions', label: 'Add Reactions' },
+  { group: 'Text', name: 'useExternalEmojis', label: 'Use External Emoji' },
+  { group: 'Text', name: 'mentionEveryone', label: 'Mention @everyone, @here and All Roles' },
+  { group: 'Text', name: 'manageMessages', label: 'Manage Messages' },
+  { group: 'Text', name: 'manageThreads', label: 'Manage Threads' },
+  { group: 'Text', name: 'readMessageHistory', label: 'Read Message History' },
+  { group: 'Text', name: 'sendTTSMessages', label: 'Send Text-to-Speech Messages' },
+  { group: 'Text', name: 'useApplicationCommands', label: 'Use Application Commands' },
+  { group: 'Voice', name: 'connect', label: 'Connect' },
+  { group: 'Voice', name: 'speak', label: 'Speak' },
+  { group: 'Voice', name: 'stream', label: 'Video' },
+  { group: 'Voice', name: 'useVAD', label: 'Use Voice Activity' },
+  { group: 'Voice', name: 'prioritySpeaker', label: 'Priority Speaker' },
+  { group: 'Voice', name: 'muteMembers', label: 'Mute Members' },
+  { group: 'Voice', name: 'deafenMembers', label: 'Deafen Members' },
+  { group: 'Voice', name: 'moveMembers', label: 'Move Members' },
+  { group: 'Voice', name: 'requestToSpeak', label: 'Request to Speak' },
+  { group: 'Events', name: 'manageEvents', label: 'Manage Events' }
+];
+
+// members returned by a member search
+const MEMBER_LIMIT = 25;
+
+/**
+ * Format an integer colour as a css hex colour
+ * @param  {Number} color integer colour
+ * @return {String}       hex colour
+ */
+function colorToHex(color) {
+  return '#' + ('000000' + (color || 0).toString(16)).slice(-6);
+}
+
+/**
+ * Reads and changes a guild's roles, within what the bot is allowed to do
+ *
+ * Roles can only be changed if the bot has Manage Roles and the role is below
+ * the bot's highest role, and the bot can only grant permissions it has itself.
+ * Everything is checked here before a request is made, the editor only uses the
+ * same checks to disable what can't be changed.
+ */
+class Roles {
+
+  /**
+   * @param  {Object} bot         eris client
+   * @param  {Object} permissions eris permission constants
+   */
+  constructor(bot, permissions) {
+    this.bot = bot;
+    this.permissions = permissions;
+  }
+
+  /**
+   * Get a guild the bot is in
+   * @param  {String} guildId guild id
+   * @return {Object}         eris guild
+   */
+  guild(guildId) {
+    let guild = this.bot.guilds.get(guildId);
+
+    if (!guild) {
+      throw new Error('The bot isn\'t in this server');
+    }
+
+    return guild;
+  }
+
+  /**
+   * Position of the bot's highest role
+   * @param  {Object} guild eris guild
+   * @return {Number}       role position, 0 without roles
+   */
+  highest(guild) {
+    let self = guild.members.get(this.bot.user.id);
+
+    return self ? Math.max.apply(null, self.roles.map(id => (guild.roles.get(id) || { position: 0 }).position).concat([0])) : 0;
+  }
+
+  /**
+   * Explain why the bot can't change a role
+   * @param  {Object} guild eris guild
+   * @param  {Object} role  eris role
+   * @return {String}       the reason, null if the bot can change it
+   */
+  lockedReason(guild, role) {
+    let self = guild.members.get(this.bot.user.id),
+      owner = guild.ownerID === this.bot.user.id;
+
+    if (!owner && !(self && self.permissions.has('manageRoles'))) {
+      return 'The bot needs the Manage Roles permission to change roles.';
+    }
+
+    if (role.managed) {
+      return 'This role is managed by an integration or bot and can\'t be changed.';
+    }
+
+    if (!owner && role.id !== guild.id && role.position >= this.highest(guild)) {
+      return 'This role is at or above the bot\'s highest role. Move the bot\'s role above it in the official client to change it.';
+    }
+
+    return null;
+  }
+
+  /**
+   * Permissions the bot can grant, it can only grant what it has
+   * @param  {Object} guild eris guild
+   * @return {Array}        permission names
+   */
+  grantable(guild) {
+    let self = guild.members.get(this.bot.user.id);
+
+    if (guild.ownerID === this.bot.user.id || (self && self.permissions.has('administrator'))) {
+      return PERMISSIONS.map(permission => permission.name);
+    }
+
+    return PERMISSIONS
+      .filter(permission => self && self.permissions.has(permission.name))
+      .map(permission => permission.name);
+  }
+
+  /**
+   * Bitfield of the permissions the editor shows
+   * @return {BigInt}
+   */
+  shown() {
+    return PERMISSIONS.reduce((bits, permission) => bits | this.permissions[permission.name], BigInt(0));
+  }
+
+  /**
+   * Describe a guild's roles for the editor
+   * @param  {String} guildId guild id
+   * @return {Object}         guild, roles in hierarchy order, the permissions and which of them the bot can grant
+   */
+  describe(guildId) {
+    let guild = this.guild(guildId),
+      counts = {};
+
+    guild.members.forEach(member => {
+      for (let id of member.roles) {
+        counts[id] = (counts[id] || 0) + 1;
+      }
+    });
+
+    let roles = guild.roles
+      .map(role => ({
+        id: role.id,
+        name: role.name,
+        color: colorToHex(role.color),
+        hoist: role.hoist,
+        mentionable: role.mentionable,
+        managed: role.managed,
+        everyone: role.id === guild.id,
+        position: role.position,
+        permissions: PERMISSIONS.filter(permission => role.permissions.has(permission.name)).map(permission => permission.name),
+        members: role.id === guild.id ? guild.memberCount : counts[role.id] || 0,
+        locked: this.lockedReason(guild, role)
+      }))
+      // highest first, discord breaks ties by id
+      .sort((a, b) => b.position - a.position || (a.id < b.id ? -1 : 1));
+
+    return {
+      guild: { id: guild.id, name: guild.name },
+      roles: roles,
+      highest: this.highest(guild),
+      owner: guild.ownerID === this.bot.user.id,
+      permissions: PERMISSIONS,
+      grantable: this.grantable(guild)
+    };
+  }
+
+  /**
+   * Find members to add to or remove from a role
+   * @param  {String} guildId guild id
+   * @param  {String} query   name to search for
+   * @param  {String} roleId  role id, to say which members have it
+   * @return {Array}          best matching members
+   */
+  searchMembers(guildId, query, roleId) {
+    let guild = this.guild(guildId);
+
+    return guild.members
+      .map(member => ({
+        member: member,
+        score: Math.max(autocomplete.fuzzyScore(query || '', member.username), autocomplete.fuzzyScore(query || '', member.nick))
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MEMBER_LIMIT)
+      .map(result => ({
+        id: result.member.id,
+        username: result.member.username,
+        discriminator: result.member.discriminator,
+        nick: result.member.nick || null,
+        hasRole: result.member.roles.indexOf(roleId) !== -1
+      }));
+  }
+
+  /**
+   * Make a change to a guild's roles
+   * @param  {Object}  request guild id, action (create, edit, move or assign) and its options
+   * @return {Promise}         resolves when discord has made the change
+   */
+  update(request) {
+    let guild = this.guild(request.guild);
+
+    switch (request.action) {
+      case 'create':
+        return this.create(guild, request.changes || {});
+      case 'edit':
+        return this.edit(guild, this.role(guild, request.role), request.changes || {});
+      case 'move':
+        return this.move(guild, this.role(guild, request.role), request.direction);
+      case 'assign':
+        return this.assign(guild, this.role(guild, request.role), request.member, !!request.add);
+      default:
+        throw new Error(`Unknown role action ${request.action}`);
+    }
+  }
+
+  /**
+   * Get a role of a guild
+   * @param  {Object} guild  eris guild
+   * @param  {String} roleId role id
+   * @return {Object}        eris role
+   */
+  role(guild, roleId) {
+    let role = guild.roles.get(roleId);
+
+    if (!role) {
+      throw new Error('The role no longer exists');
+    }
+
+    return role;
+  }
+
+  /**
+   * Throw if the bot can't change a role
+   * @param  {Object} guild eris guild
+   * @param  {Object} role  eris role
+   */
+  checkRole(guild, role) {
+    let reason = this.lockedReason(guild, role);
+
+    if (reason) {
+      throw new Error(reason);
+    }
+  }
+
+  /**
+   * Convert role changes from the editor to eris role options
+   * @param  {Object} guild   eris guild
+   * @param  {Object} role    eris role being edited, null for a new role
+   * @param  {Object} changes name, colour, hoist, mentionable and permission names
+   * @return {Object}         eris role options
+   */
+  options(guild, role, changes) {
+    let options = {};
+
+    if (changes.name !== undefined) {
+      let name = String(changes.name).trim();
+
+      if (!name || name.length > 100) {
+        throw new Error('Role names must be 1 to 100 characters');
+      }
+
+      options.name = name;
+    }
+
+    if (changes.color !== undefined) {
+      if (!/^#[0-9a-f]{6}$/i.test(changes.color)) {
+        throw new Error('Colours must be hex colours like #7289da');
+      }
+
+      options.color = parseInt(changes.color.slice(1), 16);
+    }
+
+    if (changes.hoist !== undefined) options.hoist = !!changes.hoist;
+    if (changes.mentionable !== undefined) options.mentionable = !!changes.mentionable;
+
+    if (changes.permissions !== undefined) {
+      let grantable = this.grantable(guild),
+        added = changes.permissions.filter(name => !role || !role.permissions.has(name)),
+        refused = added.filter(name => grantable.indexOf(name) === -1);
+
+      if (refused.length) {
+        throw new Error(`The bot can't grant permissions it doesn't have: ${refused.join(', ')}`);
+      }
+
+      // keep the bits the editor doesn't show
+      let bits = (role ? role.permissions.allow : BigInt(0)) & ~this.shown();
+
+      for (let name of changes.permissions) {
+        if (this.permissions[name] === undefined) {
+          throw new Error(`Unknown permission ${name}`);
+        }
+
+        bits |= this.permissions[name];
+      }
+
+      options.permissions = bits;
+    }
+
+    return options;
+  }
+
+  /**
+   * Create a role, it's added at the bottom of the hierarchy
+   * @param  {Object}  guild   eris guild
+   * @param  {Object}  changes name, colour, hoist, mentionable and permission names
+   * @return {Promise}
+   */
+  create(guild, changes) {
+    let self = guild.members.get(this.bot.user.id);
+
+    if (guild.ownerID !== this.bot.user.id && !(self && self.permissions.has('manageRoles'))) {
+      throw new Error('The bot needs the Manage Roles permission to create roles.');
+    }
+
+    return this.bot.createRole(guild.id, this.options(guild, null, Object.assign({ name: 'new role' }, changes)));
+  }
+
+  /**
+   * Edit a role
+   * @param  {Object}  guild   eris guild
+   * @param  {Object}  role    eris role
+   * @param  {Object}  changes name, colour, hoist, mentionable and permission names
+   * @return {Promise}
+   */
+  edit(guild, role, changes) {
+    this.checkRole(guild, role);
+
+    // the everyone role only has permissions
+    if (role.id === guild.id) {
+      changes = { permissions: changes.permissions };
+    }
+
+    return this.bot.editRole(guild.id, role.id, this.options(guild, role, changes));
+  }
+
+  /**
+   * Move a role one place up or down the hierarchy
+   * @param  {Object}  guild     eris guild
+   * @param  {Object}  role      eris role
+   * @param  {String}  direction up or down
+   * @return {Promise}
+   */
+  move(guild, role, direction) {
+    this.checkRole(guild, role);
+
+    if (role.id === guild.id) {
+      throw new Error('The @everyone role is always at the bottom');
+    }
+
+    let position = role.position + (direction === 'up' ? 1 : -1);
+
+    if (position < 1) {
+      throw new Error('The role is already at the bottom');
+    }
+
+    if (guild.ownerID !== this.bot.user.id && position >= this.highest(guild)) {
+      throw new Error('Roles can\'t be moved to or above the bot\'s highest role');
+    }
+
+    return this.bot.editRolePosition(guild.id, role.id, position);
+  }
+
+  /**
+   * Add a role to a member or remove it
+   * @param  {Object}  guild    eris guild
+   * @param  {Object}  role     eris role
+   * @param  {String}  memberId member id
+   * @param  {Boolean} add      true to add the role, false to remove it
+   * @return {Promise}
+   */
+  assign(guild, role, memberId, add) {
+    this.checkRole(guild, role);
+
+    if (role.id === guild.id) {
+      throw new Error('Everyone has the @everyone role');
+    }
+
+    return add ?
+      this.bot.addGuildMemberRole(guild.id, memberId, role.id) :
+      this.bot.removeGuildMemberRole(guild.id, memberId, role.id);
+  }
+}
+
+// the channel editor's overwrite grid uses the same permissions
+Roles.PERMISSIONS = PERMISSIONS;
+
+module.exports = Roles;
@@ -0,0 +1,114 @@
+"use strict";
+
+const crypto = require('crypto');
+
+// text encrypted with the key to check a passphrase is correct
+const CHECK = 'discord-botclient';
+const ITERATIONS = 100000;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Encrypts and decrypts secrets with a key derived from a master passphrase
+ *
+ * Without a passphrase the key is derived from an empty string and the salt is stored
+ * next to the tokens, so they're only obscured, anyone who can read the config can
+ * decrypt them. The profile window warns about this until a passphrase is set.
+ */
+class Vault {
+
+  constructor() {
+    this.key = null;
+  }
+
+  get unlocked() {
+    return !!this.key;
+  }
+
+  /**
+   * Derive a key from a passphrase
+   * @param  {String}   passphrase master passphrase, may be empty
+   * @param  {Object}   settings   salt and iterations
+   * @param  {Function} callback   called with an error and the key
+   */
+  derive(passphrase, settings, callback) {
+    crypto.pbkdf2(passphrase, Buffer.from(settings.salt, 'base64'), settings.iterations, 32, 'sha512', callback);
+  }
+
+  /**
+   * Create a new key from a passphrase and use it
+   * @param  {String}   passphrase master passphrase, empty for no passphrase
+   * @param  {Function} callback   called with an error and the settings to store
+   */
+  create(passphrase, callback) {
+    let settings = {
+      salt: crypto.randomBytes(16).toString('base64'),
+      iterations: ITERATIONS,
+      passphrase: !!passphrase
+    };
+
+    this.derive(passphrase, settings, (err, key) => {
+      if (err) return callback(err);
+
+      this.key = key;
+      settings.check = this.encrypt(CHECK);
+      callback(null, settings);
+    });
+  }
+
+  /**
+   * Derive the key from a passphrase and check it against the stored settings
+   * @param  {String}   passphrase master passphrase, empty for no passphrase
+   * @param  {Object}   settings   stored settings from create
+   * @param  {Function} callback   called with an error if the passphrase is wrong
+   */
+  unlock(passphrase, settings, callback) {
+    this.derive(passphrase, settings, (err, key) => {
+      if (err) return callback(err);
+
+      try {
+        if (this.decrypt(settings.check, key) !== CHECK) throw new Error();
+      } catch (e) {
+        return callback(new Error('Wrong passphrase'));
+      }
+
+      this.key = key;
+      callback(null);
+    });
+  }
+
+  /**
+   * Encrypt text
+   * @param  {String} text text to encrypt
+   * @return {Object}      base64 iv, auth tag and encrypted data
+   */
+  encrypt(text) {
+    let iv = crypto.randomBytes(12),
+      cipher = crypto.createCipheriv(CIPHER, this.key, iv),
+      data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt text, throws if the key is wrong or the data was changed
+   * @param  {Object} payload iv, auth tag and data from encrypt
+   * @param  {Buffer} key     key to use instead of the vault's key
+   * @return {String}         decrypted text
+   */
+  decrypt(payload, key) {
+    let decipher = crypto.createDecipheriv(CIPHER, key || this.key, Buffer.from(payload.iv, 'base64'));
+
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+module.exports = Vault;
@@ -0,0 +1,12 @@
+module.exports = {
+  name: 'Decorate',
+  load(api) {
+    api.addDecorator(msg => {
+      if (msg.content === 'throw') {
+        return { get badge() { throw new Error('getter failed'); } };
+      }
+
+      return { badge: msg.content, color: '#ffffff', highlight: 1 };
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// tries to reach the main process through everything the sandbox hands out
+let global = this;
+
+let reach = get => {
+  try {
+    return typeof get().constructor.constructor('return process')();
+  } catch (e) {
+    return 'blocked';
+  }
+};
+
+module.exports = {
+  name: 'Escape',
+  load(api) {
+    api.log('events', api.events);
+
+    api.on('messageCreate', msg => {
+      let error;
+
+      try {
+        api.on('unknown', () => {});
+      } catch (e) {
+        error = e;
+      }
+
+      console.warn(JSON.stringify({
+        global: reach(() => global),
+        api: reach(() => api.on),
+        console: reach(() => console.log),
+        module: reach(() => module),
+        message: reach(() => msg),
+        error: reach(() => error),
+        user: reach(() => api.user()),
+        timer: reach(() => api.setTimeout(() => {}, 1000))
+      }));
+
+      api.sendMessage('2', msg.content);
+    });
+  }
+};
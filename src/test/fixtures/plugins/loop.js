@@ -0,0 +1,5 @@
+module.exports = api => {
+  api.on('messageCreate', msg => {
+    while (msg.content === 'loop') {}
+  });
+};
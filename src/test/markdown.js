@@ -0,0 +1,38 @@
+"use strict";
+
+/**
+ * Renders each fixtures/markdown/<name>.md and compares it with <name>.html
+ * Run with `npm test`, the expected html files end with a newline that isn't part of the output.
+ * A <name>.json file next to them holds the users, roles and channels its mentions resolve to.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const markdown = require('../app/js/markdown');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'markdown');
+
+let failed = 0;
+
+for (let file of fs.readdirSync(FIXTURES).filter(file => path.extname(file) === '.md').sort()) {
+  let name = path.basename(file, '.md'),
+    input = fs.readFileSync(path.join(FIXTURES, file), 'utf8'),
+    expected = fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8').replace(/\n$/, ''),
+    mentions = path.join(FIXTURES, `${name}.json`);
+
+  mentions = fs.existsSync(mentions) ? JSON.parse(fs.readFileSync(mentions, 'utf8')) : undefined;
+
+  try {
+    assert.strictEqual(markdown.render(input, mentions), expected);
+    console.log(`ok ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`not ok ${name}\n  expected: ${e.expected}\n  actual:   ${e.actual}`);
+  }
+}
+
+if (failed) {
+  console.log(`${failed} fixture${failed === 1 ? '' : 's'} failed`);
+  process.exit(1);
+}
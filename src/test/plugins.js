@@ -0,0 +1,92 @@
+"use strict";
+
+/**
+ * Loads the plugins in fixtures/plugins with a stand-in for Main and checks they stay in their sandbox
+ * Run with `npm test`.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const Plugins = require('../app/plugins');
+
+class Message {}
+
+let sent = [];
+
+let main = {
+  eris: { Message: Message },
+  bot: { user: { id: '1', username: 'bot', discriminator: '0001' } },
+  botEvents: () => ({ ready: null, messageCreate: null, channelUpdate: null }),
+  formatMessage: message => ({ id: message.id, content: message.content }),
+  sendCommand: (channel, event, command) => sent.push({ channel: channel.id, message: command.message })
+};
+
+let config = {
+  findOne: (query, callback) => callback(null, { enabled: ['escape.js', 'decorate.js', 'loop.js'] })
+};
+
+let plugins = new Plugins(main, config, path.join(__dirname, 'fixtures', 'plugins'), () => {});
+
+let message = id => Object.assign(new Message(), { id: id, author: {}, content: id });
+
+// the last line a plugin logged at a level
+let last = (file, level) => plugins.plugins[file].log.filter(line => line.level === level)[0];
+
+let tests = {
+  'events come from the bot events Main handles': () => {
+    assert.strictEqual(last('escape.js', 'info').message, 'events ["ready","messageCreate","channelUpdate"]');
+  },
+
+  'constructor cannot reach process': () => {
+    plugins.emit('messageCreate', [message('escape')]);
+
+    let reached = JSON.parse(last('escape.js', 'warn').message);
+
+    for (let name of Object.keys(reached)) {
+      assert.notStrictEqual(reached[name], 'object', `${name} reached process`);
+    }
+
+    assert.deepStrictEqual(sent, [{ channel: '2', message: 'escape' }]);
+  },
+
+  'decorations are copied inside the guard': () => {
+    assert.deepStrictEqual(plugins.decorate({ content: 'badge' }), [
+      { plugin: 'Decorate', badge: 'badge', color: '#ffffff', highlight: true }
+    ]);
+    assert.deepStrictEqual(plugins.decorate({ content: 'throw' }), []);
+    assert.ok(/getter failed/.test(last('decorate.js', 'error').message));
+    assert.ok(plugins.plugins['decorate.js'].loaded);
+  },
+
+  'a handler that doesn\'t return stops the plugin': () => {
+    plugins.emit('messageCreate', [message('loop')]);
+
+    assert.ok(!plugins.plugins['loop.js'].loaded);
+    assert.ok(/timed out/.test(plugins.plugins['loop.js'].error));
+  }
+};
+
+let failed = 0;
+
+plugins.load(() => {
+  for (let name of Object.keys(tests)) {
+    try {
+      tests[name]();
+      console.log(`ok ${name}`);
+    } catch (e) {
+      failed++;
+      console.log(`not ok ${name}\n  ${e.message}`);
+    }
+  }
+
+  plugins.watcher.close();
+
+  for (let file of Object.keys(plugins.plugins)) {
+    plugins.unload(plugins.plugins[file]);
+  }
+
+  if (failed) {
+    console.log(`${failed} test${failed === 1 ? '' : 's'} failed`);
+    process.exit(1);
+  }
+});